@@ -0,0 +1,46 @@
+module.exports = {
+    name: 'edits',
+    description: 'Show the previous versions of an edited message',
+    aliases: ['edithistory'],
+    usage: '{prefix}edits (reply to a message)',
+    cooldown: 5,
+    category: 'general',
+    execute: async (terra, msg) => {
+        const store = terra.storeManager
+        const contextInfo = msg.message?.extendedTextMessage?.contextInfo
+
+        if (!contextInfo?.stanzaId) {
+            return terra.reply(
+                msg,
+                '❌ Reply to a message to see its edit history.'
+            )
+        }
+
+        const key = { remoteJid: msg.key.remoteJid, id: contextInfo.stanzaId }
+        const revisions = store.getRevisions(key)
+
+        if (!revisions.length) {
+            return terra.reply(msg, '❌ That message is not in the store.')
+        }
+        if (revisions.length === 1) {
+            return terra.reply(msg, 'ℹ️ That message has not been edited.')
+        }
+
+        let text = `✏️ *Edit history* (${revisions.length} versions)\n`
+        revisions.forEach((revision, index) => {
+            const label =
+                index === 0
+                    ? 'original'
+                    : index === revisions.length - 1
+                      ? 'current'
+                      : `edit ${index}`
+            const content =
+                store.getText(revision) ||
+                `_[${store.getMediaType(revision) || 'no text'}]_`
+
+            text += `\n*${index + 1}.* ${new Date(revision.timestamp).toLocaleString()} (${label})\n${content}\n`
+        })
+
+        return terra.reply(msg, text.trim())
+    },
+}
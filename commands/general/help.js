@@ -5,8 +5,9 @@ module.exports = {
     usage: '{prefix}help [command] | {prefix}help category:[category]',
     cooldown: 5,
     category: 'general',
-    execute: async (terra, msg, args, context = {}) => {
-        const { prefix } = terra.config
+    execute: async (terra, msg, args, context) => {
+        // Prefer the prefix the user actually typed
+        const prefix = context.prefix ?? context.settings?.prefix ?? ''
 
         // Default labels
         const labels = {
@@ -19,6 +20,7 @@ module.exports = {
                 ownerOnly: '👑 Owner-only command',
                 groupOnly: '👥 Group-only command',
                 privateOnly: '💌 Private chat only command',
+                disabled: '🚫 Disabled {where}',
                 examples: '💡 Examples:',
                 stats: '*🔎 {totalCommands}* commands across *{categories}* categories',
             },
@@ -35,6 +37,10 @@ module.exports = {
             return txt
         }
 
+        // Where a command is turned off in this chat, if anywhere
+        const getDisabled = (cmd) =>
+            terra.groupSettingsManager.getDisabled(cmd, context.chatJid)
+
         // Route based on args
         if (args.length && args[0].startsWith('category:')) {
             return showCategoryCommands(args[0].slice(9).toLowerCase())
@@ -66,7 +72,7 @@ module.exports = {
                     const catTitle = `${emoji} ${cat.charAt(0).toUpperCase() + cat.slice(1)}`
                     const cmdLines = cmds.map(
                         (cmd) =>
-                            `  • *${prefix}${cmd.name}* - ${cmd.description || 'No description'}`
+                            `  • *${prefix}${cmd.name}*${getDisabled(cmd) ? ' 🚫' : ''} - ${cmd.description || 'No description'}`
                     )
                     return [`\n━━━━━ *${catTitle}* ━━━━━`, ...cmdLines].join(
                         '\n'
@@ -81,7 +87,9 @@ module.exports = {
                     rows: cmds.map((cmd) => ({
                         // header: cat.charAt(0).toUpperCase() + cat.slice(1),
                         title: `${prefix}${cmd.name}`,
-                        description: cmd.description || 'No description',
+                        description:
+                            (getDisabled(cmd) ? '🚫 ' : '') +
+                            (cmd.description || 'No description'),
                         id: `${cmd.name}`,
                     })),
                 }
@@ -160,6 +168,7 @@ module.exports = {
                 if (c.ownerOnly) badges.push('👑')
                 if (c.groupOnly) badges.push('👥')
                 if (c.privateOnly) badges.push('💌')
+                if (getDisabled(c)) badges.push('🚫')
                 text += `• *${prefix}${c.name}* ${badges.join('')}\n  ↳ ${c.description}\n\n`
             })
             text += getLabel('footer', { prefix })
@@ -179,14 +188,42 @@ module.exports = {
             if (cmd.ownerOnly) badges.push(getLabel('ownerOnly'))
             if (cmd.groupOnly) badges.push(getLabel('groupOnly'))
             if (cmd.privateOnly) badges.push(getLabel('privateOnly'))
+            const disabled = getDisabled(cmd)
+            if (disabled) {
+                badges.push(
+                    getLabel('disabled', {
+                        where:
+                            disabled.scope === 'global'
+                                ? 'everywhere'
+                                : 'in this chat',
+                    })
+                )
+            }
 
             let text = `*${getCategoryEmoji(cmd.category)} Command: ${prefix}${cmd.name}*\n\n`
             text += `*Description:* ${cmd.description}\n\n`
             if (badges.length) text += `*Notes:* ${badges.join(', ')}\n\n`
             if (cmd.aliases?.length)
                 text += `*Aliases:* ${cmd.aliases.join(', ')}\n\n`
-            if (cmd.usage)
-                text += `*Usage:* ${cmd.usage.replace('{prefix}', prefix)}\n\n`
+            if (cmd.usage || cmd.args || cmd.flags)
+                text += `*Usage:* ${terra.commandHandler.getUsage(cmd, prefix)}\n\n`
+            if (cmd.args?.some((arg) => arg.description)) {
+                text += `*Arguments:*\n`
+                cmd.args.forEach((arg) => {
+                    text += `  • *${arg.name}*${arg.required ? '' : ' (optional)'} - ${arg.description || arg.type || 'text'}\n`
+                })
+                text += `\n`
+            }
+            if (cmd.subcommands) {
+                text += `*Subcommands:*\n`
+                Object.values(cmd.subcommands).forEach((sub) => {
+                    const aliases = sub.aliases?.length
+                        ? ` (${sub.aliases.join(', ')})`
+                        : ''
+                    text += `  • ${terra.commandHandler.getUsage(cmd, prefix, sub)}${aliases}\n    ↳ ${sub.description || '-'}\n`
+                })
+                text += `\n`
+            }
             if (cmd.examples?.length) {
                 text += `${getLabel('examples')}\n`
                 cmd.examples.forEach(
@@ -194,7 +231,11 @@ module.exports = {
                 )
                 text += `\n`
             }
-            if (cmd.cooldown) text += `*Cooldown:* ${cmd.cooldown}s\n\n`
+            if (cmd.cooldown) {
+                const uses =
+                    cmd.cooldownUses > 1 ? `${cmd.cooldownUses} uses / ` : ''
+                text += `*Cooldown:* ${uses}${cmd.cooldown}s per ${cmd.cooldownScope || 'user'}\n\n`
+            }
             text += `*Category:* ${cmd.category}`
 
             return terra.reply(msg, text)
@@ -215,6 +256,8 @@ module.exports = {
                 download: '📥',
                 info: 'ℹ️',
                 game: '🎲',
+                leveling: '⭐',
+                moderation: '🛡️',
             }
             return map[category?.toLowerCase()] || '📌'
         }
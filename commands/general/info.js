@@ -6,7 +6,7 @@ const {
 module.exports = {
     name: 'info',
     description: 'Show bot information and statistics',
-    aliases: ['stats', 'about', 'botinfo'],
+    aliases: ['about', 'botinfo'],
     cooldown: 10,
     category: 'general',
     execute: async (terra, msg, args) => {
@@ -0,0 +1,119 @@
+const { parseDuration } = require('../../utils/ArgumentParser')
+
+// Characters of each message shown in the results
+const PREVIEW_LENGTH = 80
+
+module.exports = {
+    name: 'search',
+    description: 'Search the messages of this chat',
+    aliases: ['find'],
+    usage: '{prefix}search [--jump n] <query> [@user] [since:3d]',
+    cooldown: 5,
+    category: 'general',
+    examples: [
+        '{prefix}search youtube.com',
+        '{prefix}search meeting @628xxxxxxx since:1w',
+        '{prefix}search --jump 2 invoice',
+    ],
+    args: [{ name: 'query', type: 'rest', required: true }],
+    flags: {
+        limit: {
+            type: 'number',
+            integer: true,
+            min: 1,
+            max: 30,
+            default: 10,
+            description: 'Number of matches to list',
+        },
+        jump: {
+            type: 'number',
+            integer: true,
+            min: 1,
+            description: 'Reply to match n so you can jump to it',
+        },
+    },
+    execute: async (terra, msg, args, context) => {
+        const mentions =
+            msg.message?.extendedTextMessage?.contextInfo?.mentionedJid || []
+
+        // Pull the filters out of the query
+        let since = 0
+        const words = []
+        for (const word of context.args.query.split(/\s+/)) {
+            if (/^since:/i.test(word)) {
+                const duration = parseDuration(word.slice(6))
+                if (!duration) {
+                    return terra.reply(
+                        msg,
+                        `❌ Invalid duration: ${word.slice(6)} (e.g. 30m, 12h, 3d, 1w)`
+                    )
+                }
+                since = Date.now() - duration
+            } else if (!/^@\d+$/.test(word)) {
+                words.push(word)
+            }
+        }
+
+        const sender = mentions[0]
+        const query = words.join(' ')
+        if (!query && !sender && !since) {
+            return terra.reply(msg, '❌ Tell me what to search for.')
+        }
+
+        // Only ever the chat the command is used in
+        const store = terra.storeManager
+        const matches = store.search(context.chatJid, query, {
+            sender,
+            since,
+            limit: Math.max(context.args.limit, context.args.jump || 0),
+            // Leave out commands, this one included
+            filter: (message) =>
+                message.key.id !== msg.key.id &&
+                terra.commandHandler.matchPrefix(
+                    store.getText(message),
+                    message,
+                    context.settings
+                ) === null,
+        })
+
+        if (!matches.length) {
+            return terra.reply(msg, '🔍 No matching messages found.')
+        }
+
+        if (context.args.jump) {
+            const match = matches[context.args.jump - 1]
+            if (!match) {
+                return terra.reply(
+                    msg,
+                    `❌ There are only ${matches.length} matches.`
+                )
+            }
+            return terra.sendMessage(
+                context.chatJid,
+                `🔍 Match ${context.args.jump}`,
+                { quoted: match }
+            )
+        }
+
+        const shown = matches.slice(0, context.args.limit)
+        let text = `🔍 *${shown.length} ${shown.length === 1 ? 'match' : 'matches'}*${query ? ` for "${query}"` : ''}\n`
+        for (const [index, message] of shown.entries()) {
+            const jid = message.key.participant || message.key.remoteJid
+            const name = message.key.fromMe
+                ? terra.config.name
+                : await terra.contactManager.getName(jid)
+            const time = new Date(store.getTimestamp(message)).toLocaleString()
+            let preview =
+                store.getText(message) ||
+                `[${store.getMediaType(message) || 'message'}]`
+            if (preview.length > PREVIEW_LENGTH) {
+                preview = `${preview.slice(0, PREVIEW_LENGTH)}…`
+            }
+
+            text += `\n*${index + 1}.* ${name} • ${time}\n${preview.replace(/\n/g, ' ')}\n`
+        }
+        text += `\nUse ${context.prefix}search --jump <n> ${context.args.query} to jump to a match.`
+
+        return terra.reply(msg, text)
+    },
+}
@@ -0,0 +1,57 @@
+module.exports = {
+    name: 'disable',
+    description: 'Turn off a command or category in this group or everywhere',
+    permissions: ['admin', 'sudo'],
+    category: 'group',
+    args: [
+        {
+            name: 'name',
+            type: 'string',
+            required: true,
+            description: 'Command or category',
+        },
+    ],
+    flags: {
+        global: {
+            type: 'boolean',
+            description: 'Turn it off in every chat (sudo and owners only)',
+        },
+    },
+    examples: [
+        '{prefix}disable sticker',
+        '{prefix}disable media',
+        '{prefix}disable spotify --global',
+    ],
+    execute: async (terra, msg, args, context) => {
+        const settingsManager = terra.groupSettingsManager
+        const { name } = context.args
+        const global = context.args.global || !context.isGroup
+
+        if (global && !terra.roleManager.hasRole(context.sender, 'sudo')) {
+            return terra.reply(
+                msg,
+                '❌ Only sudo users and owners can disable commands globally.'
+            )
+        }
+        if (settingsManager.isProtected(name)) {
+            return terra.reply(msg, `❌ You cannot disable ${name}.`)
+        }
+
+        const type = settingsManager.setDisabled(
+            global ? null : context.chatJid,
+            name,
+            true
+        )
+        if (!type) {
+            return terra.reply(
+                msg,
+                `❌ No command or category named *${name}*.`
+            )
+        }
+
+        return terra.reply(
+            msg,
+            `✅ The ${type} *${name}* has been *disabled* ${global ? 'in every chat' : 'in this group'}.`
+        )
+    },
+}
@@ -0,0 +1,49 @@
+module.exports = {
+    name: 'enable',
+    description: 'Turn a disabled command or category back on',
+    permissions: ['admin', 'sudo'],
+    category: 'group',
+    args: [
+        {
+            name: 'name',
+            type: 'string',
+            required: true,
+            description: 'Command or category',
+        },
+    ],
+    flags: {
+        global: {
+            type: 'boolean',
+            description: 'Turn it back on everywhere (sudo and owners only)',
+        },
+    },
+    examples: ['{prefix}enable sticker', '{prefix}enable spotify --global'],
+    execute: async (terra, msg, args, context) => {
+        const { name } = context.args
+        const global = context.args.global || !context.isGroup
+
+        if (global && !terra.roleManager.hasRole(context.sender, 'sudo')) {
+            return terra.reply(
+                msg,
+                '❌ Only sudo users and owners can enable commands globally.'
+            )
+        }
+
+        const type = terra.groupSettingsManager.setDisabled(
+            global ? null : context.chatJid,
+            name,
+            false
+        )
+        if (!type) {
+            return terra.reply(
+                msg,
+                `❌ No command or category named *${name}*.`
+            )
+        }
+
+        return terra.reply(
+            msg,
+            `✅ The ${type} *${name}* has been *enabled* ${global ? 'in every chat' : 'in this group'}.`
+        )
+    },
+}
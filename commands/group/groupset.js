@@ -0,0 +1,217 @@
+module.exports = {
+    name: 'groupset',
+    description: 'Configure bot settings for this group',
+    aliases: ['gset', 'groupsettings'],
+    usage: '{prefix}groupset [setting] [value]',
+    examples: [
+        '{prefix}groupset prefix # .',
+        '{prefix}groupset disable sticker',
+        '{prefix}groupset welcome Hi {user}, welcome to {group}!',
+        '{prefix}groupset antilink on',
+        '{prefix}groupset antidelete on',
+        '{prefix}groupset edits on',
+        '{prefix}groupset suggestions off',
+        '{prefix}groupset reset prefix',
+    ],
+    groupOnly: true,
+    adminOnly: true,
+    category: 'group',
+    execute: async (terra, msg, args, context) => {
+        const settingsManager = terra.groupSettingsManager
+        const groupJid = context.chatJid
+        const onOff = (value) => (value ? '✅ ON' : '❌ OFF')
+        const parseToggle = (value) =>
+            ['on', 'true', 'enable'].includes(value)
+                ? true
+                : ['off', 'false', 'disable'].includes(value)
+                  ? false
+                  : null
+
+        // If no arguments, show current group settings
+        if (!args.length) {
+            const settings = context.settings
+            const text =
+                `*⚙️ Group Settings*\n\n` +
+                `• Prefix: ${settings.prefixes.join(' ')}\n` +
+                `• Language: ${settings.language}\n` +
+                `• Leveling: ${onOff(settings.leveling)}\n` +
+                `• Welcome: ${onOff(settings.welcome.enabled)}\n` +
+                `• Anti-Link: ${onOff(settings.antiLink)}\n` +
+                `• Anti-Delete: ${onOff(settings.antiDelete)}\n` +
+                `• Announce edits: ${onOff(settings.announceEdits)}\n` +
+                `• NSFW: ${onOff(settings.nsfw)}\n` +
+                `• Command suggestions: ${onOff(settings.suggestions)}\n` +
+                `• Disabled commands: ${settings.disabledCommands.join(', ') || '-'}\n` +
+                `• Disabled categories: ${settings.disabledCategories.join(', ') || '-'}\n\n` +
+                `Use *${context.prefix}help groupset* to see how to change them.`
+
+            return terra.reply(msg, text)
+        }
+
+        const setting = args[0].toLowerCase()
+        // From the raw text, so welcome messages keep their line breaks
+        const value = context.text.slice(args[0].length).trim()
+        const toggle = parseToggle(value.toLowerCase())
+
+        switch (setting) {
+            case 'prefix': {
+                // Several prefixes can be given separated by spaces
+                const prefixes = value.split(/\s+/).filter(Boolean)
+                if (!prefixes.length || prefixes.some((p) => p.length > 3)) {
+                    return terra.reply(
+                        msg,
+                        '❌ Each prefix must be 1-3 characters without spaces.'
+                    )
+                }
+                settingsManager.set(
+                    groupJid,
+                    'prefix',
+                    prefixes.length === 1 ? prefixes[0] : prefixes
+                )
+                return terra.reply(
+                    msg,
+                    `✅ Group prefix set to *${prefixes.join(' ')}*`
+                )
+            }
+
+            case 'language':
+            case 'lang': {
+                if (!/^[a-z]{2}$/i.test(value)) {
+                    return terra.reply(
+                        msg,
+                        '❌ Use a 2-letter language code, e.g. *en* or *id*.'
+                    )
+                }
+                settingsManager.set(groupJid, 'language', value.toLowerCase())
+                return terra.reply(
+                    msg,
+                    `✅ Group language set to *${value.toLowerCase()}*`
+                )
+            }
+
+            case 'disable':
+            case 'enable': {
+                if (!value) {
+                    return terra.reply(
+                        msg,
+                        `❌ Please provide a command or category to ${setting}.`
+                    )
+                }
+                if (
+                    setting === 'disable' &&
+                    settingsManager.isProtected(value)
+                ) {
+                    return terra.reply(msg, `❌ You cannot disable ${value}.`)
+                }
+
+                const type = settingsManager.setDisabled(
+                    groupJid,
+                    value,
+                    setting === 'disable'
+                )
+                if (!type) {
+                    return terra.reply(
+                        msg,
+                        `❌ No command or category named *${value}*.`
+                    )
+                }
+                return terra.reply(
+                    msg,
+                    `✅ The ${type} *${value}* has been *${setting}d* in this group.`
+                )
+            }
+
+            case 'welcome': {
+                const welcome = { ...context.settings.welcome }
+                if (!value) {
+                    return terra.reply(
+                        msg,
+                        `❌ Use 'on', 'off' or a welcome message.\nPlaceholders: {user}, {group}, {count}`
+                    )
+                }
+
+                if (toggle === null) {
+                    welcome.enabled = true
+                    welcome.message = value
+                } else {
+                    welcome.enabled = toggle
+                }
+
+                settingsManager.set(groupJid, 'welcome', welcome)
+                return terra.reply(
+                    msg,
+                    `✅ Welcome messages are *${welcome.enabled ? 'enabled' : 'disabled'}*.\n\n*Message:* ${welcome.message}`
+                )
+            }
+
+            case 'antilink':
+            case 'antidelete':
+            case 'edits':
+            case 'nsfw':
+            case 'leveling':
+            case 'suggestions': {
+                if (toggle === null) {
+                    return terra.reply(
+                        msg,
+                        `❌ Invalid value. Use 'on' or 'off'.`
+                    )
+                }
+
+                const key =
+                    {
+                        antilink: 'antiLink',
+                        antidelete: 'antiDelete',
+                        edits: 'announceEdits',
+                    }[setting] || setting
+                settingsManager.set(groupJid, key, toggle)
+                return terra.reply(
+                    msg,
+                    `✅ ${setting} has been *${toggle ? 'enabled' : 'disabled'}* in this group.`
+                )
+            }
+
+            case 'reset': {
+                const keys = {
+                    prefix: 'prefix',
+                    language: 'language',
+                    lang: 'language',
+                    leveling: 'leveling',
+                    welcome: 'welcome',
+                    antilink: 'antiLink',
+                    antidelete: 'antiDelete',
+                    edits: 'announceEdits',
+                    nsfw: 'nsfw',
+                    suggestions: 'suggestions',
+                    disabled: ['disabledCommands', 'disabledCategories'],
+                }
+
+                if (!value) {
+                    settingsManager.reset(groupJid)
+                    return terra.reply(
+                        msg,
+                        '✅ All group settings have been reset to the defaults.'
+                    )
+                }
+
+                const key = keys[value.toLowerCase()]
+                if (!key) {
+                    return terra.reply(msg, `❌ Unknown setting: ${value}`)
+                }
+
+                for (const k of [].concat(key)) {
+                    settingsManager.reset(groupJid, k)
+                }
+                return terra.reply(
+                    msg,
+                    `✅ *${value}* has been reset to the default.`
+                )
+            }
+
+            default:
+                return terra.reply(
+                    msg,
+                    `❌ Unknown setting: ${setting}\n\nAvailable settings:\n- prefix\n- language\n- enable / disable\n- welcome\n- antilink\n- antidelete\n- edits\n- nsfw\n- leveling\n- suggestions\n- reset`
+                )
+        }
+    },
+}
@@ -0,0 +1,53 @@
+module.exports = {
+    name: 'leaderboard',
+    description: 'Show the members with the most XP in this group',
+    aliases: ['lb', 'top', 'toplevel'],
+    args: [
+        {
+            name: 'limit',
+            type: 'number',
+            integer: true,
+            min: 1,
+            max: 25,
+            default: 10,
+            description: 'Number of members to show (1-25)',
+        },
+    ],
+    cooldown: 10,
+    cooldownScope: 'chat',
+    groupOnly: true,
+    category: 'leveling',
+    execute: async (terra, msg, args, context) => {
+        if (!context.settings.leveling) {
+            return terra.reply(
+                msg,
+                '❌ The leveling system is disabled in this group.'
+            )
+        }
+
+        const entries = terra.levelingManager.getLeaderboard(
+            context.chatJid,
+            context.args.limit
+        )
+
+        if (!entries.length) {
+            return terra.reply(
+                msg,
+                '📭 Nobody has earned XP in this group yet. Start chatting!'
+            )
+        }
+
+        const medals = ['🥇', '🥈', '🥉']
+        let text = `*🏆 Leaderboard — ${context.groupMetadata?.subject || 'Group'}*\n\n`
+        entries.forEach((entry, i) => {
+            const position = medals[i] || `*${i + 1}.*`
+            text += `${position} @${entry.jid.split('@')[0]}\n`
+            text += `    ↳ Level ${entry.level} • ${entry.xp.toLocaleString()} XP\n`
+        })
+
+        return terra.reply(msg, {
+            text,
+            mentions: entries.map((entry) => entry.jid),
+        })
+    },
+}
@@ -0,0 +1,45 @@
+module.exports = {
+    name: 'rank',
+    description: 'Show your level and XP in this group',
+    aliases: ['level', 'xp', 'lvl'],
+    usage: '{prefix}rank [@mention or reply]',
+    args: [
+        {
+            name: 'user',
+            type: 'jid',
+            description: 'Member to look up (or reply to their message)',
+        },
+    ],
+    cooldown: 5,
+    groupOnly: true,
+    category: 'leveling',
+    execute: async (terra, msg, args, context) => {
+        if (!context.settings.leveling) {
+            return terra.reply(
+                msg,
+                '❌ The leveling system is disabled in this group.'
+            )
+        }
+
+        // Resolve target user from mention, reply or sender
+        const contextInfo = msg.message?.extendedTextMessage?.contextInfo
+        const targetJid =
+            context.args.user || contextInfo?.participant || context.sender
+
+        const stats = terra.levelingManager.getStats(context.chatJid, targetJid)
+
+        // Build progress bar for the current level
+        const barLength = 10
+        const filled = Math.floor((stats.current / stats.required) * barLength)
+        const progressBar = '█'.repeat(filled) + '░'.repeat(barLength - filled)
+
+        let text = `*⭐ Rank of @${targetJid.split('@')[0]}*\n\n`
+        text += `🏅 *Rank:* ${stats.rank ? `#${stats.rank} of ${stats.total}` : 'Unranked'}\n`
+        text += `📈 *Level:* ${stats.level}\n`
+        text += `✨ *XP:* ${stats.current} / ${stats.required} (total ${stats.xp})\n`
+        text += `${progressBar}\n`
+        text += `💬 *Messages:* ${stats.messages.toLocaleString()}`
+
+        return terra.reply(msg, { text, mentions: [targetJid] })
+    },
+}
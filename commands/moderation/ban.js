@@ -0,0 +1,68 @@
+const { formatDuration } = require('../../utils/ArgumentParser')
+
+module.exports = {
+    name: 'ban',
+    description: 'Stop a user from using the bot in this group or everywhere',
+    aliases: ['blacklist'],
+    permissions: ['admin', 'moderator'],
+    category: 'moderation',
+    examples: [
+        '{prefix}ban @user spamming commands',
+        '{prefix}ban @user 1d flooding the group',
+        '{prefix}ban @user 7d --global',
+    ],
+    args: [
+        {
+            name: 'user',
+            type: 'jid',
+            required: true,
+            description: 'User to ban',
+        },
+        {
+            name: 'duration',
+            type: 'duration',
+            description: 'Lift the ban after this long (e.g. 30m, 1d)',
+        },
+        {
+            name: 'reason',
+            type: 'rest',
+            description: 'Why the user is banned',
+        },
+    ],
+    flags: {
+        global: {
+            type: 'boolean',
+            description: 'Ban from every chat (moderators only)',
+        },
+    },
+    execute: async (terra, msg, args, context) => {
+        const { user, duration, reason } = context.args
+        const roles = terra.roleManager
+        const group =
+            context.isGroup && !context.args.global ? context.chatJid : null
+        const number = roles.normalize(user)
+
+        if (roles.isOwner(user)) {
+            return terra.reply(msg, '❌ Bot owners cannot be banned.')
+        }
+        if (!roles.canModerate(context.sender, user, group, context.isAdmin)) {
+            return terra.reply(
+                msg,
+                `❌ You cannot ban this user${group ? ' in this group' : ' globally'}.`
+            )
+        }
+
+        roles.grant(user, 'banned', {
+            group,
+            ttl: duration,
+            reason,
+            by: context.sender,
+        })
+
+        let text = `🔨 @${number} has been banned ${group ? 'in this group' : 'globally'}`
+        text += duration ? ` for ${formatDuration(duration)}.` : '.'
+        if (reason) text += `\n*Reason:* ${reason}`
+
+        return terra.reply(msg, { text, mentions: [user] })
+    },
+}
@@ -0,0 +1,41 @@
+const { formatDuration } = require('../../utils/ArgumentParser')
+
+module.exports = {
+    name: 'banlist',
+    description: 'List banned users in this group or globally',
+    aliases: ['bans'],
+    permissions: ['admin', 'moderator'],
+    category: 'moderation',
+    flags: {
+        global: {
+            type: 'boolean',
+            description: 'Show global bans',
+        },
+    },
+    execute: async (terra, msg, args, context) => {
+        const group =
+            context.isGroup && !context.args.global ? context.chatJid : null
+        const bans = terra.roleManager.list({ role: 'banned', group })
+
+        if (!bans.length) {
+            return terra.reply(
+                msg,
+                `📭 Nobody is banned ${group ? 'in this group' : 'globally'}.`
+            )
+        }
+
+        let text = `*🔨 Banned users ${group ? 'in this group' : '(global)'}*\n\n`
+        for (const ban of bans) {
+            text += `• @${ban.jid}`
+            text += ban.expiresAt
+                ? ` (${formatDuration(ban.expiresAt - Date.now())} left)\n`
+                : ' (permanent)\n'
+            if (ban.reason) text += `  ↳ ${ban.reason}\n`
+        }
+
+        return terra.reply(msg, {
+            text: text.trim(),
+            mentions: bans.map((ban) => `${ban.jid}@s.whatsapp.net`),
+        })
+    },
+}
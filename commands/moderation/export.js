@@ -0,0 +1,59 @@
+const {
+    FORMATS,
+    createTranscript,
+    renderTranscript,
+} = require('../../utils/ChatExporter')
+
+module.exports = {
+    name: 'export',
+    description: 'Export the stored messages of this chat as a file',
+    aliases: ['transcript'],
+    permissions: ['admin', 'sudo'],
+    cooldown: 30,
+    category: 'moderation',
+    args: [
+        {
+            name: 'format',
+            type: 'enum',
+            choices: Object.keys(FORMATS),
+            default: 'txt',
+            description: 'File format',
+        },
+    ],
+    flags: {
+        since: {
+            type: 'duration',
+            description: 'Only messages from this long ago',
+        },
+        dm: {
+            type: 'boolean',
+            description: 'Send the file to you privately',
+        },
+    },
+    examples: [
+        '{prefix}export',
+        '{prefix}export html --since 7d',
+        '{prefix}export json --dm',
+    ],
+    execute: async (terra, msg, args, context) => {
+        const { format, since, dm } = context.args
+
+        const transcript = await createTranscript(terra, context.chatJid, {
+            since: since ? Date.now() - since : 0,
+        })
+        if (!transcript.messages.length) {
+            return terra.reply(msg, '📭 No stored messages to export.')
+        }
+
+        const { buffer, filename } = renderTranscript(transcript, format)
+        const caption = `📄 ${transcript.messages.length} messages from *${transcript.chat.name}*`
+
+        if (dm) {
+            await terra.sendDocument(context.sender, buffer, filename, caption)
+            return terra.reply(msg, '✅ Sent the export to you privately.')
+        }
+        return terra.sendDocument(context.chatJid, buffer, filename, caption, {
+            quoted: msg,
+        })
+    },
+}
@@ -0,0 +1,47 @@
+module.exports = {
+    name: 'unban',
+    description: 'Lift a ban from a user',
+    aliases: ['pardon'],
+    permissions: ['admin', 'moderator'],
+    category: 'moderation',
+    args: [
+        {
+            name: 'user',
+            type: 'jid',
+            required: true,
+            description: 'User to unban',
+        },
+    ],
+    flags: {
+        global: {
+            type: 'boolean',
+            description: 'Lift a global ban (moderators only)',
+        },
+    },
+    execute: async (terra, msg, args, context) => {
+        const { user } = context.args
+        const roles = terra.roleManager
+        const group =
+            context.isGroup && !context.args.global ? context.chatJid : null
+        const number = roles.normalize(user)
+
+        if (!roles.canModerate(context.sender, user, group, context.isAdmin)) {
+            return terra.reply(
+                msg,
+                `❌ You cannot unban this user${group ? ' in this group' : ' globally'}.`
+            )
+        }
+
+        if (!roles.revoke(user, 'banned', group)) {
+            return terra.reply(msg, {
+                text: `❌ @${number} is not banned ${group ? 'in this group' : 'globally'}.`,
+                mentions: [user],
+            })
+        }
+
+        return terra.reply(msg, {
+            text: `✅ @${number} has been unbanned ${group ? 'in this group' : 'globally'}.`,
+            mentions: [user],
+        })
+    },
+}
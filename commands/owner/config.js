@@ -1,3 +1,31 @@
+const toggleArgs = [
+    {
+        name: 'value',
+        type: 'boolean',
+        required: true,
+        description: 'on or off',
+    },
+]
+
+/**
+ * Save the config and reply, reporting a failed write
+ * @param {object} terra Terra instance
+ * @param {object} msg WhatsApp message
+ * @param {string} text Reply on success
+ */
+async function saveAndReply(terra, msg, text) {
+    try {
+        await terra.saveConfig() // Save changes
+        return terra.reply(msg, text)
+    } catch (error) {
+        terra.logger.error(`Error saving configuration: ${error.message}`)
+        return terra.reply(
+            msg,
+            `⚠️ Setting was changed but there was an error saving the configuration: ${error.message}`
+        )
+    }
+}
+
 module.exports = {
     name: 'config',
     description: 'Configure bot settings',
@@ -5,6 +33,51 @@ module.exports = {
     usage: '{prefix}config [setting] [value]',
     ownerOnly: true,
     category: 'owner',
+    subcommands: {
+        privatemode: {
+            description: 'Only respond to owners and group admins',
+            aliases: ['private'],
+            args: toggleArgs,
+            execute: async (terra, msg, args, context) => {
+                terra.config.privateMode = context.args.value
+                return saveAndReply(
+                    terra,
+                    msg,
+                    context.args.value
+                        ? '✅ Private mode has been *enabled*. Bot will only respond to owners and admins.'
+                        : '✅ Private mode has been *disabled*. Bot will respond to everyone.'
+                )
+            },
+        },
+        leveling: {
+            description: 'Turn the leveling system on or off',
+            aliases: ['level'],
+            args: toggleArgs,
+            execute: async (terra, msg, args, context) => {
+                if (!terra.config.leveling) terra.config.leveling = {}
+                terra.config.leveling.enabled = context.args.value
+                return saveAndReply(
+                    terra,
+                    msg,
+                    `✅ Leveling system has been *${context.args.value ? 'enabled' : 'disabled'}*.`
+                )
+            },
+        },
+        levelupmessages: {
+            description: 'Announce level-ups in groups',
+            aliases: ['levelupmsg', 'levelup'],
+            args: toggleArgs,
+            execute: async (terra, msg, args, context) => {
+                if (!terra.config.leveling) terra.config.leveling = {}
+                terra.config.leveling.levelUpMessages = context.args.value
+                return saveAndReply(
+                    terra,
+                    msg,
+                    `✅ Level-up messages have been *${context.args.value ? 'enabled' : 'disabled'}*.`
+                )
+            },
+        },
+    },
     execute: async (terra, msg, args, context) => {
         // If no arguments, show current config
         if (!args.length) {
@@ -17,95 +90,9 @@ module.exports = {
             return terra.reply(msg, configInfo)
         }
 
-        // Handle specific settings
-        const setting = args[0].toLowerCase()
-        const value = args[1]?.toLowerCase()
-
-        try {
-            // Update settings based on command
-            if (setting === 'privatemode' || setting === 'private') {
-                if (value === 'on' || value === 'true') {
-                    terra.config.privateMode = true
-                    await terra.saveConfig() // Save changes
-                    return terra.reply(
-                        msg,
-                        '✅ Private mode has been *enabled*. Bot will only respond to owners and admins.'
-                    )
-                } else if (value === 'off' || value === 'false') {
-                    terra.config.privateMode = false
-                    await terra.saveConfig() // Save changes
-                    return terra.reply(
-                        msg,
-                        '✅ Private mode has been *disabled*. Bot will respond to everyone.'
-                    )
-                } else {
-                    return terra.reply(
-                        msg,
-                        `❌ Invalid value. Use 'on' or 'off'.`
-                    )
-                }
-            } else if (setting === 'leveling' || setting === 'level') {
-                if (!terra.config.leveling) terra.config.leveling = {}
-
-                if (value === 'on' || value === 'true') {
-                    terra.config.leveling.enabled = true
-                    await terra.saveConfig() // Save changes
-                    return terra.reply(
-                        msg,
-                        '✅ Leveling system has been *enabled*.'
-                    )
-                } else if (value === 'off' || value === 'false') {
-                    terra.config.leveling.enabled = false
-                    await terra.saveConfig() // Save changes
-                    return terra.reply(
-                        msg,
-                        '✅ Leveling system has been *disabled*.'
-                    )
-                } else {
-                    return terra.reply(
-                        msg,
-                        `❌ Invalid value. Use 'on' or 'off'.`
-                    )
-                }
-            } else if (
-                setting === 'levelupmessages' ||
-                setting === 'levelupmsg' ||
-                setting === 'levelup'
-            ) {
-                if (!terra.config.leveling) terra.config.leveling = {}
-
-                if (value === 'on' || value === 'true') {
-                    terra.config.leveling.levelUpMessages = true
-                    await terra.saveConfig() // Save changes
-                    return terra.reply(
-                        msg,
-                        '✅ Level-up messages have been *enabled*.'
-                    )
-                } else if (value === 'off' || value === 'false') {
-                    terra.config.leveling.levelUpMessages = false
-                    await terra.saveConfig() // Save changes
-                    return terra.reply(
-                        msg,
-                        '✅ Level-up messages have been *disabled*.'
-                    )
-                } else {
-                    return terra.reply(
-                        msg,
-                        `❌ Invalid value. Use 'on' or 'off'.`
-                    )
-                }
-            } else {
-                return terra.reply(
-                    msg,
-                    `❌ Unknown setting: ${setting}\n\nAvailable settings:\n- privatemode\n- leveling\n- levelupmessages`
-                )
-            }
-        } catch (error) {
-            terra.logger.error(`Error saving configuration: ${error.message}`)
-            return terra.reply(
-                msg,
-                `⚠️ Setting was changed but there was an error saving the configuration: ${error.message}`
-            )
-        }
+        return terra.reply(
+            msg,
+            `❌ Unknown setting: ${args[0]}\n\nAvailable settings:\n- privatemode\n- leveling\n- levelupmessages`
+        )
     },
 }
@@ -17,6 +17,16 @@ module.exports = {
         debugInfo += `*Commands:* ${commandsList.join(', ')}\n`
         debugInfo += `*Categories:* ${categoriesList.join(', ')}\n\n`
 
+        // Module health
+        debugInfo += '*Modules:*\n'
+        for (const module of terra.modulesManager.getHealth()) {
+            const icon = module.status === 'ready' ? '✅' : '❌'
+            debugInfo += `${icon} ${module.name}: ${module.error || module.status}`
+            debugInfo +=
+                module.startTime !== null ? ` (${module.startTime}ms)\n` : '\n'
+        }
+        debugInfo += '\n'
+
         // Context information
         debugInfo += '*Context:*\n'
         debugInfo += `isGroup: ${context.isGroup}\n`
@@ -5,23 +5,21 @@ module.exports = {
     name: 'eval',
     description: 'Evaluate JS code (single-line & multiline)',
     aliases: ['eval'],
-    usage: '[prefix]eval [value]',
+    args: [
+        {
+            name: 'code',
+            type: 'rest',
+            required: true,
+            description: 'JavaScript code to run',
+        },
+    ],
     ownerOnly: true,
     category: 'owner',
     execute: async (terra, msg, args, context) => {
-        // 1. Ambil raw text pesan (extendedTextMessage jika ada, else conversation)
-        const raw =
-            msg.message.extendedTextMessage?.text ??
-            msg.message.conversation ??
-            ''
+        // 1. Ambil kode dari argumen (sisa teks setelah nama command)
+        let code = context.args.code
 
-        // 2. Hapus command prefix dan nama command dari awal
-        //    Asumsikan prefix di context.prefix, atau ganti sesuai yang kamu pakai
-        const prefix = context.prefix // misal '!'
-        const cmdLen = prefix.length + context.command.length + 1
-        let code = raw.slice(cmdLen)
-
-        // 3. Jika user membungkus dalam ```js\n…``` atau ```\n…```, strip backticks-nya
+        // 2. Jika user membungkus dalam ```js\n…``` atau ```\n…```, strip backticks-nya
         code = code.replace(/```(?:js)?\n?([\s\S]*?)```/, '$1').trim()
 
         if (!code) {
@@ -29,11 +27,11 @@ module.exports = {
         }
 
         try {
-            // 4. Buat AsyncFunction agar bisa pakai await di top-level tanpa IIFE
+            // 3. Buat AsyncFunction agar bisa pakai await di top-level tanpa IIFE
             const fn = new AsyncFunction('terra', 'msg', 'context', code)
-            // 5. Eksekusi
+            // 4. Eksekusi
             const result = await fn(terra, msg, context, msg)
-            // 6. Kirim hasilnya
+            // 5. Kirim hasilnya
             return terra.reply(msg, String(result))
         } catch (err) {
             terra.logger.error(`Eval error: ${err.stack}`)
@@ -6,21 +6,23 @@ module.exports = {
     name: 'exec',
     description: 'execute a code',
     aliases: ['$'],
-    usage: '[prefix]exec [value]',
+    args: [
+        {
+            name: 'command',
+            type: 'rest',
+            required: true,
+            description: 'Shell command to run',
+        },
+    ],
     ownerOnly: true,
     category: 'owner',
     execute: async (terra, msg, args, context) => {
-        // If no arguments, show current config
-        if (!args.length) {
-            return terra.reply(msg, 'Please provide a code!')
-        }
-
         let m = await terra.sendMessage(context.chatJid, 'Executing...', {
             quoted: msg,
         })
         let o
         try {
-            o = await exec(args.join(' '))
+            o = await exec(context.args.command)
         } catch (e) {
             o = e
         } finally {
@@ -0,0 +1,129 @@
+/**
+ * Describe a plugin for listings
+ * @param {object} plugin Plugin from pluginManager.list()
+ * @returns {string} Text lines
+ */
+function describePlugin(plugin) {
+    const status = plugin.loaded
+        ? '✅'
+        : plugin.enabled && plugin.error
+          ? '⚠️'
+          : '⏸️'
+    let line = `${status} *${plugin.name}* v${plugin.version}`
+    if (plugin.description) line += ` - ${plugin.description}`
+    if (plugin.error) line += `\n  ↳ ${plugin.error}`
+    return line
+}
+
+/**
+ * Reply with every installed plugin and its status
+ */
+async function listPlugins(terra, msg, args, context) {
+    const plugins = terra.pluginManager.list()
+    if (!plugins.length) {
+        return terra.reply(
+            msg,
+            '📭 No plugins installed. Add them to the *plugins/* folder.'
+        )
+    }
+
+    const text =
+        `*🧩 Plugins (${plugins.length})*\n\n` +
+        plugins.map(describePlugin).join('\n') +
+        `\n\n✅ loaded  ⏸️ disabled  ⚠️ failed to load`
+    return terra.reply(msg, text)
+}
+
+const nameArg = [
+    {
+        name: 'name',
+        type: 'string',
+        required: true,
+        description: 'Plugin name',
+    },
+]
+
+module.exports = {
+    name: 'plugins',
+    description: 'List plugins and turn them on or off',
+    aliases: ['plugin', 'pl'],
+    ownerOnly: true,
+    category: 'owner',
+    examples: [
+        '{prefix}plugins',
+        '{prefix}plugins info weather',
+        '{prefix}plugins disable weather',
+        '{prefix}plugins enable weather',
+    ],
+    execute: listPlugins,
+    subcommands: {
+        list: {
+            description: 'List installed plugins',
+            aliases: ['ls'],
+            execute: listPlugins,
+        },
+        info: {
+            description: 'Show what a plugin provides',
+            aliases: ['i'],
+            args: nameArg,
+            execute: async (terra, msg, args, context) => {
+                const { name } = context.args
+                const plugin = terra.pluginManager
+                    .list()
+                    .find((plugin) => plugin.name === name.toLowerCase())
+                if (!plugin) {
+                    return terra.reply(msg, `❌ No plugin named *${name}*.`)
+                }
+
+                let text = describePlugin(plugin) + '\n\n'
+                text += `• Commands: ${plugin.commands}\n`
+                text += `• Events: ${plugin.events}\n`
+                text += `• Module: ${plugin.module || '-'}\n`
+                text += `• Dependencies: ${plugin.dependencies.join(', ') || '-'}`
+                return terra.reply(msg, text)
+            },
+        },
+        enable: {
+            description: 'Load a plugin and keep it on after restarts',
+            aliases: ['on'],
+            args: nameArg,
+            execute: async (terra, msg, args, context) => {
+                try {
+                    const plugin = await terra.pluginManager.enable(
+                        context.args.name
+                    )
+                    return terra.reply(
+                        msg,
+                        `✅ Plugin *${plugin.name}* enabled (${plugin.commands.length} commands, ${plugin.events.length} events).`
+                    )
+                } catch (error) {
+                    return terra.reply(
+                        msg,
+                        `❌ Could not enable *${context.args.name}*: ${error.message}`
+                    )
+                }
+            },
+        },
+        disable: {
+            description: 'Unload a plugin and keep it off after restarts',
+            aliases: ['off'],
+            args: nameArg,
+            execute: async (terra, msg, args, context) => {
+                try {
+                    const plugin = await terra.pluginManager.disable(
+                        context.args.name
+                    )
+                    return terra.reply(
+                        msg,
+                        `✅ Plugin *${plugin.name}* disabled.`
+                    )
+                } catch (error) {
+                    return terra.reply(
+                        msg,
+                        `❌ Could not disable *${context.args.name}*: ${error.message}`
+                    )
+                }
+            },
+        },
+    },
+}
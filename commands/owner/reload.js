@@ -0,0 +1,45 @@
+module.exports = {
+    name: 'reload',
+    description: 'Reload a command, or every command, event, module and plugin',
+    aliases: ['rl'],
+    ownerOnly: true,
+    category: 'owner',
+    examples: ['{prefix}reload sticker', '{prefix}reload all'],
+    args: [
+        {
+            name: 'target',
+            type: 'string',
+            default: 'all',
+            description: 'Command name or alias, or "all"',
+        },
+    ],
+    execute: async (terra, msg, args, context) => {
+        const handler = terra.commandHandler
+        const { target } = context.args
+
+        if (target.toLowerCase() !== 'all') {
+            if (!handler.getCommand(target)) {
+                return terra.reply(msg, `❌ No command named *${target}*.`)
+            }
+
+            const command = await handler.reloadCommand(target)
+            if (!command) {
+                return terra.reply(
+                    msg,
+                    `❌ Could not reload *${target}*, check the logs.`
+                )
+            }
+            return terra.reply(msg, `✅ Reloaded *${command.name}*.`)
+        }
+
+        const commands = await handler.loadCommands()
+        const events = await terra.eventHandler.loadEvents()
+        await terra.modulesManager.loadModules()
+        const plugins = await terra.pluginManager.loadPlugins()
+
+        return terra.reply(
+            msg,
+            `✅ Reloaded ${commands} commands, ${events} events, ${terra.modulesManager.modules.size} modules and ${plugins} plugins.`
+        )
+    },
+}
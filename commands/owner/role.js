@@ -0,0 +1,213 @@
+const { formatDuration } = require('../../utils/ArgumentParser')
+
+const ROLE_CHOICES = ['sudo', 'moderator', 'premium', 'banned']
+
+const globalFlag = {
+    global: {
+        type: 'boolean',
+        description: 'Apply to every chat instead of this group',
+    },
+}
+
+/**
+ * Resolve the scope of a role change (null for global)
+ * @param {object} context Command context
+ * @returns {string|null} Group JID or null
+ */
+function getScope(context) {
+    return context.isGroup && !context.args.global ? context.chatJid : null
+}
+
+/**
+ * Check that the sender outranks both the role and the target user
+ * @param {object} terra Terra instance
+ * @param {object} context Command context
+ * @param {string} role Role being changed
+ * @param {string|null} group Scope of the change
+ * @returns {string|null} Error message, or null if allowed
+ */
+function checkAuthority(terra, context, role, group) {
+    const roles = terra.roleManager
+    const level = roles.getLevel(context.sender, group)
+
+    if (level <= roles.getRoleLevel(role)) {
+        return `❌ You cannot manage the *${role}* role${group ? ' in this group' : ' globally'}.`
+    }
+    if (level <= roles.getLevel(context.args.user, group)) {
+        return '❌ You cannot change the roles of someone with an equal or higher role.'
+    }
+    return null
+}
+
+/**
+ * Describe a grant for listings
+ * @param {object} grant Stored grant
+ * @param {boolean} showScope Whether to say if the grant is global
+ * @returns {string} Text line
+ */
+function describeGrant(grant, showScope = false) {
+    let line = `• @${grant.jid} - *${grant.role}*`
+    if (showScope) line += grant.group ? ' (this group)' : ' (global)'
+    if (grant.expiresAt) {
+        line += ` (${formatDuration(grant.expiresAt - Date.now())} left)`
+    }
+    if (grant.reason) line += `\n  ↳ ${grant.reason}`
+    return line
+}
+
+module.exports = {
+    name: 'role',
+    description: 'Manage bot roles (sudo, moderator, premium, banned)',
+    aliases: ['roles'],
+    permissions: ['moderator'],
+    category: 'owner',
+    examples: [
+        '{prefix}role grant @user moderator',
+        '{prefix}role grant @user premium 30d --global',
+        '{prefix}role grant @user banned 1d --reason "spamming"',
+        '{prefix}role revoke @user moderator',
+        '{prefix}role list',
+        '{prefix}role info @user',
+    ],
+    subcommands: {
+        grant: {
+            description: 'Give a role to a user',
+            aliases: ['add', 'give'],
+            args: [
+                { name: 'user', type: 'jid', required: true },
+                {
+                    name: 'role',
+                    type: 'enum',
+                    choices: ROLE_CHOICES,
+                    required: true,
+                },
+                {
+                    name: 'duration',
+                    type: 'duration',
+                    description: 'Remove the role after this long',
+                },
+            ],
+            flags: {
+                ...globalFlag,
+                reason: {
+                    type: 'string',
+                    description: 'Why the role was given',
+                },
+            },
+            execute: async (terra, msg, args, context) => {
+                const { user, role, duration, reason } = context.args
+                const group = getScope(context)
+
+                const error = checkAuthority(terra, context, role, group)
+                if (error) return terra.reply(msg, error)
+
+                terra.roleManager.grant(user, role, {
+                    group,
+                    ttl: duration,
+                    reason,
+                    by: context.sender,
+                })
+
+                const number = terra.roleManager.normalize(user)
+                return terra.reply(msg, {
+                    text:
+                        `✅ @${number} is now *${role}* ${group ? 'in this group' : 'globally'}` +
+                        (duration ? ` for ${formatDuration(duration)}.` : '.'),
+                    mentions: [user],
+                })
+            },
+        },
+        revoke: {
+            description: 'Remove a role from a user',
+            aliases: ['remove', 'take'],
+            args: [
+                { name: 'user', type: 'jid', required: true },
+                {
+                    name: 'role',
+                    type: 'enum',
+                    choices: ROLE_CHOICES,
+                    required: true,
+                },
+            ],
+            flags: globalFlag,
+            execute: async (terra, msg, args, context) => {
+                const { user, role } = context.args
+                const group = getScope(context)
+
+                const error = checkAuthority(terra, context, role, group)
+                if (error) return terra.reply(msg, error)
+
+                const number = terra.roleManager.normalize(user)
+                if (!terra.roleManager.revoke(user, role, group)) {
+                    return terra.reply(msg, {
+                        text: `❌ @${number} does not have the *${role}* role ${group ? 'in this group' : 'globally'}.`,
+                        mentions: [user],
+                    })
+                }
+
+                return terra.reply(msg, {
+                    text: `✅ Removed *${role}* from @${number} ${group ? 'in this group' : 'globally'}.`,
+                    mentions: [user],
+                })
+            },
+        },
+        list: {
+            description: 'List role grants in this group (or global ones)',
+            aliases: ['ls'],
+            args: [{ name: 'role', type: 'enum', choices: ROLE_CHOICES }],
+            flags: globalFlag,
+            execute: async (terra, msg, args, context) => {
+                const group = getScope(context)
+                const grants = terra.roleManager.list({
+                    role: context.args.role || undefined,
+                    group,
+                })
+
+                if (!grants.length) {
+                    return terra.reply(
+                        msg,
+                        `📭 No roles granted ${group ? 'in this group' : 'globally'}.`
+                    )
+                }
+
+                const text =
+                    `*🎭 Roles ${group ? 'in this group' : '(global)'}*\n\n` +
+                    grants.map((grant) => describeGrant(grant)).join('\n')
+
+                return terra.reply(msg, {
+                    text,
+                    mentions: grants.map(
+                        (grant) => `${grant.jid}@s.whatsapp.net`
+                    ),
+                })
+            },
+        },
+        info: {
+            description: 'Show the roles of a user (default: you)',
+            aliases: ['check', 'me'],
+            args: [{ name: 'user', type: 'jid' }],
+            execute: async (terra, msg, args, context) => {
+                const user = context.args.user || context.sender
+                const number = terra.roleManager.normalize(user)
+                const role =
+                    terra.roleManager.getRole(user, context.chatJid) || 'user'
+                const grants = terra.roleManager.getGrants(
+                    user,
+                    context.chatJid
+                )
+
+                let text = `*🎭 Roles of @${number}*\n\n• Effective role: *${role}*\n`
+                if (terra.roleManager.isOwner(user)) text += '• Bot owner 👑\n'
+                if (grants.length) {
+                    text +=
+                        '\n' +
+                        grants
+                            .map((grant) => describeGrant(grant, true))
+                            .join('\n')
+                }
+
+                return terra.reply(msg, { text: text.trim(), mentions: [user] })
+            },
+        },
+    },
+}
@@ -3,21 +3,19 @@ module.exports = {
     name: 'setname',
     description: 'Set bot profile name',
     aliases: ['setname'],
-    usage: '[prefix]setname [value]',
+    args: [
+        {
+            name: 'name',
+            type: 'rest',
+            required: true,
+            description: 'New profile name',
+        },
+    ],
     ownerOnly: true,
     category: 'owner',
     execute: async (terra, msg, args, context) => {
         try {
-            const raw =
-                msg.message.extendedTextMessage?.text ??
-                msg.message.conversation ??
-                ''
-
-            // negro
-
-            const prefix = context.prefix
-            const cmdLen = prefix.length + context.command.length + 1
-            let name = raw.slice(cmdLen)
+            const name = context.args.name
 
             if (!name) {
                 return terra.reply(msg, '⚠️ Masukkan nama!')
@@ -0,0 +1,98 @@
+const PERIOD_LABELS = {
+    day: 'last 24 hours',
+    week: 'last 7 days',
+    all: 'all time',
+}
+
+module.exports = {
+    name: 'stats',
+    description: 'Command usage statistics',
+    aliases: ['analytics', 'usage'],
+    permissions: ['sudo'],
+    category: 'owner',
+    examples: [
+        '{prefix}stats',
+        '{prefix}stats week',
+        '{prefix}stats all --json',
+    ],
+    args: [
+        {
+            name: 'period',
+            type: 'enum',
+            choices: ['day', 'week', 'all'],
+            default: 'day',
+            description: 'Time span of the report',
+        },
+    ],
+    flags: {
+        json: {
+            type: 'boolean',
+            description: 'Send the raw data as a JSON file',
+        },
+    },
+    execute: async (terra, msg, args, context) => {
+        const analytics = terra.modulesManager.get('analytics')
+        if (!analytics?.db) {
+            return terra.reply(msg, '❌ Analytics are disabled.')
+        }
+
+        const { period, json } = context.args
+        const report = analytics.getReport(period)
+
+        if (json) {
+            const data = {
+                generatedAt: new Date().toISOString(),
+                report,
+                entries: analytics.getEntries(period),
+                ...(period === 'all' && { days: analytics.getDailyTotals() }),
+            }
+            return terra.sendDocument(
+                context.chatJid,
+                Buffer.from(JSON.stringify(data, null, 2)),
+                `stats-${period}-${Date.now()}.json`,
+                `📊 Command usage (${PERIOD_LABELS[period]})`,
+                { quoted: msg }
+            )
+        }
+
+        if (!report.total) {
+            return terra.reply(
+                msg,
+                `📭 No commands used in the ${PERIOD_LABELS[period]}.`
+            )
+        }
+
+        const percent = (rate) => `${(rate * 100).toFixed(1)}%`
+        // No latency once all uses of a command have been pruned
+        const ms = (value) => (value === null ? 'n/a' : `${value}ms`)
+
+        let text = `*📊 Command Usage (${PERIOD_LABELS[period]})*\n\n`
+        text += `• Total: ${report.total.toLocaleString()}\n`
+        text += `• Errors: ${report.errors} (${percent(report.errorRate)})\n`
+        text += `• p95 latency: ${ms(report.p95)}\n`
+        if (report.since) text += `• Since: ${report.since}\n`
+        text += '\n'
+
+        text += `*🔥 Top Commands*\n`
+        report.topCommands.forEach((command, i) => {
+            text += `${i + 1}. *${command.name}* - ${command.count}x, ${percent(command.errorRate)} errors, p95 ${ms(command.p95)}\n`
+        })
+
+        text += `\n*👥 Top Users*\n`
+        report.topUsers.forEach((user, i) => {
+            text += `${i + 1}. @${user.jid} - ${user.count}x\n`
+        })
+
+        // Only the counts are kept past the retention
+        if (period === 'all') {
+            text += `\n_Latency and top users cover the last ${analytics.options.retentionDays} days._`
+        }
+
+        return terra.reply(msg, {
+            text: text.trim(),
+            mentions: report.topUsers.map(
+                (user) => `${user.jid}@s.whatsapp.net`
+            ),
+        })
+    },
+}
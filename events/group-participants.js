@@ -0,0 +1,42 @@
+module.exports = {
+    name: 'group-participants.update',
+    description: 'Sends welcome messages when members join a group',
+    execute: async (terra, update) => {
+        const { id: groupJid, participants = [], action } = update
+        if (action !== 'add' || !participants.length) return
+
+        const { welcome } = terra.groupSettingsManager.get(groupJid)
+        if (!welcome.enabled || !welcome.message) return
+
+        try {
+            // Refresh metadata so subject and member count are current
+            const metadata = await terra.groupManager.getGroupMetadata(
+                groupJid,
+                true
+            )
+
+            for (const participant of participants) {
+                // Participants may be plain JIDs or objects depending on the socket version
+                const jid =
+                    typeof participant === 'string'
+                        ? participant
+                        : participant.id
+                if (!jid) continue
+
+                const text = welcome.message
+                    .replace(/{user}/g, `@${jid.split('@')[0]}`)
+                    .replace(/{group}/g, metadata?.subject || 'the group')
+                    .replace(
+                        /{count}/g,
+                        String(metadata?.participants?.length || '')
+                    )
+
+                await terra.sendMessage(groupJid, { text, mentions: [jid] })
+            }
+        } catch (error) {
+            terra.logger.error(
+                `Error sending welcome message: ${error.message}`
+            )
+        }
+    },
+}
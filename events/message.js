@@ -1,3 +1,6 @@
+// Matches web links and WhatsApp group invites
+const LINK_REGEX = /(https?:\/\/|www\.)\S+|chat\.whatsapp\.com\/\S+/i
+
 module.exports = {
     name: 'message',
     description: 'Handles incoming messages and command execution',
@@ -43,47 +46,58 @@ module.exports = {
                 `Message from ${senderName} ${isGroup ? '(group)' : '(private)'}: ${content}`
             )
 
-            // Check permission if private mode is enabled
-            if (terra.config.privateMode) {
-                let hasPermission = false
+            // Resolve per-chat settings (group overrides on top of the global config)
+            const settings = terra.groupSettingsManager.get(sender)
+
+            const isCommand =
+                terra.commandHandler.matchPrefix(content, msg, settings) !==
+                null
 
-                // Check if sender is an owner
-                const isOwner = terra.config.owners.includes(
-                    participantJid.split('@')[0]
+            // Remove links from regular members when anti-link is enabled
+            // (commands may take links as arguments)
+            if (
+                isGroup &&
+                settings.antiLink &&
+                !msg.key.fromMe &&
+                !terra.commandHandler.matchCommand(content, msg, settings) &&
+                LINK_REGEX.test(content)
+            ) {
+                const isOwner = terra.isOwner(participantJid)
+                const isAdmin = await terra.groupManager.isUserAdmin(
+                    sender,
+                    participantJid
                 )
 
-                // Check if sender is a group admin (if in a group)
-                let isAdmin = false
-                if (isGroup) {
+                if (!isOwner && !isAdmin) {
+                    terra.logger.info(
+                        `Anti-link: removing message from ${senderName}`
+                    )
                     try {
-                        const groupMetadata =
-                            await terra.groupManager.getGroupMetadata(sender)
-                        const participant = groupMetadata.participants.find(
-                            (p) => p.id === participantJid
-                        )
-                        isAdmin =
-                            participant &&
-                            ['admin', 'superadmin'].includes(participant.admin)
+                        if (await terra.groupManager.isBotAdmin(sender)) {
+                            await terra.socket.sendMessage(sender, {
+                                delete: msg.key,
+                            })
+                        }
+                        await terra.sendMessage(sender, {
+                            text: `🔗 @${participantJid.split('@')[0]}, links are not allowed in this group.`,
+                            mentions: [participantJid],
+                        })
                     } catch (error) {
                         terra.logger.error(
-                            `Error checking admin status: ${error.message}`
+                            `Error enforcing anti-link: ${error.message}`
                         )
                     }
-                }
-
-                hasPermission = isOwner || isAdmin
-
-                // If no permission and private mode enabled, ignore message
-                if (!hasPermission) {
-                    terra.logger.debug(
-                        `Ignoring message from ${senderName} (private mode)`
-                    )
                     return
                 }
             }
 
+            // Award XP for regular group messages
+            if (isGroup && !isCommand) {
+                await terra.levelingManager.handleMessage(msg)
+            }
+
             // Check if the message is a command
-            if (content.startsWith(terra.config.prefix)) {
+            if (isCommand) {
                 terra.logger.debug(`Detected command: ${content}`)
 
                 // Pass the message to the command handler for processing
@@ -1,6 +1,42 @@
 const fs = require('fs-extra')
 const chokidar = require('chokidar')
 const path = require('path')
+const { buildUsage } = require('../utils/ArgumentParser')
+const createBuiltinMiddlewares = require('./middlewares')
+const { getPermissionError } = createBuiltinMiddlewares
+
+/**
+ * Edit distance between two strings, counting a swap of two
+ * neighbouring characters ("pnig" -> "ping") as one edit
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i])
+    for (let j = 1; j <= b.length; j++) d[0][j] = j
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1
+            d[i][j] = Math.min(
+                d[i - 1][j] + 1,
+                d[i][j - 1] + 1,
+                d[i - 1][j - 1] + cost
+            )
+            if (
+                i > 1 &&
+                j > 1 &&
+                a[i - 1] === b[j - 2] &&
+                a[i - 2] === b[j - 1]
+            ) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+            }
+        }
+    }
+
+    return d[a.length][b.length]
+}
 
 class CommandHandler {
     constructor(terra) {
@@ -8,8 +44,9 @@ class CommandHandler {
         this.logger = this.terra.logger.child({ name: 'CommandHandler' })
         this.commands = new Map()
         this.aliases = new Map() // Separate map for aliases
-        this.cooldowns = new Map()
+        this.middlewares = createBuiltinMiddlewares(terra, this.logger)
         this.categories = new Map()
+        this.files = new Map() // Command file path -> what it registered
         this.commandsDir = path.join(process.cwd(), 'commands')
         // Start watcher
         this._initWatcher()
@@ -36,25 +73,56 @@ class CommandHandler {
 
         this.logger.debug(`File ${event}: ${filePath}`)
 
-        // Hapus cache
-        delete require.cache[require.resolve(filePath)]
-
         if (event === 'unlink') {
-            // File dihapus: hapus dari maps
-            const cmdName = path.basename(filePath, '.js').toLowerCase()
-            this.commands.delete(cmdName)
-            // dan hapus alias yang merujuk ke cmdName
-            for (const [alias, name] of this.aliases) {
-                if (name === cmdName) this.aliases.delete(alias)
-            }
-            this.logger.info(`Unloaded command: ${cmdName}`)
+            // File dihapus: hapus persis apa yang didaftarkan file itu
+            delete require.cache[filePath]
+            const name = this._unloadCommandFile(filePath)
+            if (name) this.logger.info(`Unloaded command: ${name}`)
         } else {
             // add atau change: (re)load per file
-            await this._loadCommandFile(filePath)
-            this.logger.info(`Reloaded command from: ${filePath}`)
+            const command = await this._loadCommandFile(
+                filePath,
+                this.files.get(filePath)?.loadCategory
+            )
+            if (command) {
+                this.logger.info(
+                    `Reloaded command ${command.name} from: ${filePath}`
+                )
+            }
         }
     }
 
+    /**
+     * Reload a single command from its file
+     * @param {string} nameOrAlias Command name or alias
+     * @returns {Promise<Object|null>} Reloaded command, or null if it is unknown or failed to load
+     */
+    async reloadCommand(nameOrAlias) {
+        const command = this.getCommand(nameOrAlias)
+        if (!command) return null
+
+        const filePath = this.getCommandFile(command.name)
+        if (!filePath) return null
+
+        // Plugin commands keep the category their plugin gave them
+        return this._loadCommandFile(
+            filePath,
+            this.files.get(filePath).loadCategory
+        )
+    }
+
+    /**
+     * Get the file a command was loaded from
+     * @param {string} name Command name
+     * @returns {string|null} File path
+     */
+    getCommandFile(name) {
+        for (const [filePath, entry] of this.files) {
+            if (entry.name === name.toLowerCase()) return filePath
+        }
+        return null
+    }
+
     /**
      * Load commands from commands directory and its subdirectories
      * @returns {Promise<number>} Number of commands loaded
@@ -65,6 +133,7 @@ class CommandHandler {
             this.commands.clear()
             this.aliases.clear()
             this.categories.clear()
+            this.files.clear()
 
             // Ensure commands directory exists
             await fs.ensureDir(this.commandsDir)
@@ -140,25 +209,53 @@ class CommandHandler {
     }
 
     /**
-     * Load a single command file
+     * Load (or reload) a single command file, replacing what it registered before
      * @private
      * @param {string} filePath Path to command file
-     * @param {string} category Category from directory structure
+     * @param {string} category Category from directory structure (derived from the path if omitted)
+     * @returns {Promise<Object|null>} Loaded command, or null on failure
      */
     async _loadCommandFile(filePath, category = null) {
+        const loadCategory = category
+
         try {
             // Clear cache to reload if changed
             delete require.cache[require.resolve(filePath)]
 
-            // Import command
+            // Import command (a file that fails to load keeps its old version)
             const command = require(filePath)
 
+            // Never shadow a command of another file: unloading this one
+            // later could not bring it back
+            const previous = this.files.get(filePath)
+            const owner = command.name
+                ? this.getCommand(command.name.toLowerCase())
+                : null
+            if (owner && owner !== previous?.command) {
+                this.logger.warn(
+                    `Command ${command.name} in ${filePath} is already registered by ${this.getCommandFile(owner.name) || 'another file'}`
+                )
+                return null
+            }
+
+            // Drop the command, aliases and category count of the old version
+            this._unloadCommandFile(filePath)
+
             // Validate command structure
-            if (!command.name || !command.execute) {
+            if (!command.name || (!command.execute && !command.subcommands)) {
                 this.logger.warn(
                     `Command in ${filePath} is missing required properties`
                 )
-                return
+                return null
+            }
+
+            // Files outside the root directory take the category of their folder
+            if (!category && path.dirname(filePath) !== this.commandsDir) {
+                category = path.basename(path.dirname(filePath)).toLowerCase()
+            }
+
+            if (command.subcommands) {
+                this._normalizeSubcommands(command, filePath)
             }
 
             // Set category from file if not explicitly defined
@@ -180,26 +277,44 @@ class CommandHandler {
             // If command is in owner folder, set ownerOnly to true automatically
             if (
                 command.category === 'owner' &&
-                !command.hasOwnProperty('ownerOnly')
+                !command.hasOwnProperty('ownerOnly') &&
+                !command.permissions
             ) {
                 command.ownerOnly = true
             }
 
             // Register command
-            this.commands.set(command.name.toLowerCase(), command)
+            const name = command.name.toLowerCase()
+            this.commands.set(name, command)
 
             // Register aliases in a separate map
+            const aliases = []
             if (command.aliases && Array.isArray(command.aliases)) {
                 for (const alias of command.aliases) {
-                    if (typeof alias === 'string' && alias.trim()) {
-                        this.aliases.set(
-                            alias.toLowerCase(),
-                            command.name.toLowerCase()
+                    if (typeof alias !== 'string' || !alias.trim()) continue
+
+                    // Aliases taken by another command stay with it
+                    const taken = this.getCommand(alias.toLowerCase())
+                    if (taken && taken !== command) {
+                        this.logger.warn(
+                            `Alias ${alias} of ${command.name} is already used by ${taken.name}`
                         )
+                        continue
                     }
+                    this.aliases.set(alias.toLowerCase(), name)
+                    aliases.push(alias.toLowerCase())
                 }
             }
 
+            // Remember what this file registered for reloads and deletes
+            this.files.set(filePath, {
+                name,
+                aliases,
+                category: command.category,
+                loadCategory, // Category given by the caller, for reloads
+                command,
+            })
+
             // Update category count
             if (!this.categories.has(command.category)) {
                 this.categories.set(command.category, {
@@ -216,10 +331,72 @@ class CommandHandler {
             this.logger.debug(
                 `Loaded command: ${command.name} (${command.category})`
             )
+            return command
         } catch (error) {
             this.logger.error(
                 `Error loading command file ${filePath}: ${error.message}`
             )
+            return null
+        }
+    }
+
+    /**
+     * Remove the command, aliases and category count registered by a file
+     * @private
+     * @param {string} filePath Path to command file
+     * @returns {string|null} Name of the removed command
+     */
+    _unloadCommandFile(filePath) {
+        const entry = this.files.get(filePath)
+        if (!entry) return null
+
+        this.files.delete(filePath)
+
+        // Another file may have registered the same name since
+        if (this.commands.get(entry.name) === entry.command) {
+            this.commands.delete(entry.name)
+            for (const alias of entry.aliases) {
+                if (this.aliases.get(alias) === entry.name) {
+                    this.aliases.delete(alias)
+                }
+            }
+        }
+
+        const categoryInfo = this.categories.get(entry.category)
+        if (categoryInfo) {
+            categoryInfo.count--
+            // Keep categories that still have a folder of their own
+            if (
+                categoryInfo.count <= 0 &&
+                !fs.existsSync(path.join(this.commandsDir, entry.category))
+            ) {
+                this.categories.delete(entry.category)
+            }
+        }
+
+        return entry.name
+    }
+
+    /**
+     * Name each subcommand and drop invalid ones
+     * @private
+     * @param {object} command Command declaring `subcommands`
+     * @param {string} filePath Path to command file
+     */
+    _normalizeSubcommands(command, filePath) {
+        for (const [name, subcommand] of Object.entries(command.subcommands)) {
+            if (typeof subcommand?.execute !== 'function') {
+                this.logger.warn(
+                    `Subcommand ${name} in ${filePath} is missing an execute function`
+                )
+                delete command.subcommands[name]
+                continue
+            }
+
+            subcommand.name = name.toLowerCase()
+            subcommand.aliases = (subcommand.aliases || []).map((alias) =>
+                alias.toLowerCase()
+            )
         }
     }
 
@@ -244,9 +421,11 @@ class CommandHandler {
      * @private
      * @param {object} msg WhatsApp message
      * @param {object} command Command to execute
+     * @param {object} settings Resolved chat settings
+     * @param {string} prefix Prefix the message matched
      * @returns {Promise<object>} Context object
      */
-    async _getCommandContext(msg, command) {
+    async _getCommandContext(msg, command, settings, prefix) {
         const sender = msg.key.participant || msg.key.remoteJid
         const isGroup = msg.key.remoteJid.endsWith('@g.us')
         let groupMetadata = null
@@ -264,20 +443,31 @@ class CommandHandler {
             }
         }
 
-        // Return complete context object
-        return {
+        // Build complete context object
+        const context = {
             isGroup,
             groupMetadata,
             isOwner: this.isOwner(sender),
             isAdmin: isGroup ? this.isAdmin(sender, groupMetadata) : false,
+            role: this.terra.roleManager.getRole(sender, msg.key.remoteJid),
             sender,
             name: msg.pushName || sender.split('@')[0],
             chatJid: msg.key.remoteJid,
             isPrivate: !isGroup,
             command,
             conn: this.terra.socket,
-            prefix: this.terra.config.prefix,
+            db: this.terra.db,
+            settings,
+            prefix,
+            // Stop the command, optionally telling the user why
+            deny: async (reason, message = null) => {
+                context.denied = { reason, message }
+                if (message) await this.terra.reply(msg, message)
+                return false
+            },
         }
+
+        return context
     }
 
     /**
@@ -293,69 +483,66 @@ class CommandHandler {
             const content = this._extractMessageContent(msg)
             if (!content) return
 
-            // Check if message starts with prefix
-            const prefix = this.terra.config.prefix
-            if (!content.startsWith(prefix)) return
+            // Resolve per-chat settings (group overrides on top of the global config)
+            const settings = this.terra.groupSettingsManager.get(
+                msg.key.remoteJid
+            )
+
+            // Check if message starts with a prefix
+            const prefix = this.matchPrefix(content, msg, settings)
+            if (prefix === null) return
 
-            // Extract command name and arguments
-            const args = content.slice(prefix.length).trim().split(/\s+/)
-            const inputCommandName = args.shift()?.toLowerCase()
+            // Extract command name, raw argument text and arguments
+            const body = content.slice(prefix.length).trim()
+            const [rawCommandName] = body.split(/\s+/, 1)
+            const inputCommandName = rawCommandName?.toLowerCase()
 
             if (!inputCommandName) return
 
+            const text = body.slice(rawCommandName.length).trim()
+            const args = text ? text.split(/\s+/) : []
+
             // Get command from name or alias
             let command = this.getCommand(inputCommandName)
-            if (!command) return
-
-            // Check cooldown
-            if (command.cooldown) {
-                const { result, timeLeft } = this._checkCooldown(
-                    msg.key.remoteJid,
-                    command
+            if (!command) {
+                return this._suggestCommands(
+                    msg,
+                    inputCommandName,
+                    settings,
+                    prefix
                 )
-                if (!result) {
-                    return this.terra.reply(
-                        msg,
-                        `⏳ Please wait ${timeLeft.toFixed(
-                            1
-                        )} more seconds before using this command again.`
-                    )
-                }
             }
 
-            // Get context information
-            const context = await this._getCommandContext(msg, command)
+            // Route to a subcommand when the first argument names one
+            const subcommand = this.getSubcommand(command, args[0])
 
-            // Check command permissions
-            const permissionCheck = this._checkCommandPermissions(
+            // Get context information
+            const context = await this._getCommandContext(
+                msg,
                 command,
-                context
+                settings,
+                prefix
             )
-            if (permissionCheck.error) {
-                return this.terra.reply(msg, permissionCheck.error)
-            }
-
-            // Log command usage
-            this.logger.info(
-                `${context.sender} used command: ${command.name} ${args.join(' ')}`
+            context.subcommand = subcommand
+            context.text = subcommand ? text.slice(args[0].length).trim() : text
+            context.rawArgs = subcommand ? args.slice(1) : args
+            context.args = {}
+
+            // Run the checks, then the command itself
+            await this.runMiddlewares(msg, context, () =>
+                this._execute(msg, context)
             )
 
-            // Execute command with proper parameters
-            try {
-                if (command.execute.length <= 3) {
-                    // Command doesn't expect context parameter
-                    await command.execute(this.terra, msg, args)
-                } else {
-                    // Command expects context parameter
-                    await command.execute(this.terra, msg, args, context)
-                }
-            } catch (execError) {
-                this.logger.error(
-                    `Error executing command ${command.name}: ${execError.message}`
-                )
-                await this.terra.reply(
-                    msg,
-                    `❌ Error executing command: ${execError.message}`
+            if (context.denied) {
+                this._emit(
+                    context.denied.reason === 'cooldown'
+                        ? 'command.cooldown'
+                        : 'command.denied',
+                    {
+                        ...this._eventData(msg, context),
+                        reason: context.denied.reason,
+                        message: context.denied.message,
+                    }
                 )
             }
         } catch (error) {
@@ -371,64 +558,214 @@ class CommandHandler {
     }
 
     /**
-     * Check if a user is the bot owner
-     * @param {string} jid JID of the user to check
-     * @returns {boolean} Whether the user is the owner
+     * Add a middleware to the command pipeline
+     * @param {Function} fn Middleware called with (msg, context, next)
+     * @param {Object} options Middleware options
+     * @param {string} options.name Name to refer to it later
+     * @param {string} options.before Name of the middleware it should run before (default: last)
+     * @returns {Function} Function removing the middleware again
      */
-    isOwner(jid) {
-        // Extract the user part (remove any @s.whatsapp.net, etc.)
-        const cleanJid = jid.split('@')[0]
+    use(fn, options = {}) {
+        if (typeof fn !== 'function') {
+            throw new Error('Middleware must be a function')
+        }
+
+        const middleware = { name: options.name || fn.name || 'anonymous', fn }
+        const index = options.before
+            ? this.middlewares.findIndex((m) => m.name === options.before)
+            : -1
 
-        return this.terra.config.owners.includes(cleanJid)
+        if (index === -1) {
+            this.middlewares.push(middleware)
+        } else {
+            this.middlewares.splice(index, 0, middleware)
+        }
+
+        return () => {
+            this.middlewares = this.middlewares.filter((m) => m !== middleware)
+        }
     }
 
     /**
-     * Check if a user is an admin in a group
-     * @param {string} jid JID of the user to check
-     * @param {Object} groupMetadata Group metadata
-     * @returns {boolean} Whether the user is an admin
+     * Run the middleware chain for a command
+     * @param {object} msg WhatsApp message
+     * @param {object} context Command context
+     * @param {Function} final Called when every middleware passed
      */
-    isAdmin(jid, groupMetadata) {
-        if (!groupMetadata || !groupMetadata.participants) return false
+    async runMiddlewares(msg, context, final) {
+        const chain = [...this.middlewares.map((m) => m.fn), final]
+        let lastIndex = -1
 
-        // Check if the user is in the participants list and has admin privileges
-        return groupMetadata.participants.some(
-            (p) => p.id === jid && ['admin', 'superadmin'].includes(p.admin)
-        )
+        const dispatch = async (index) => {
+            if (index <= lastIndex) {
+                throw new Error('next() called multiple times')
+            }
+            lastIndex = index
+            const fn = chain[index]
+            if (!fn) return
+            return fn(msg, context, () => dispatch(index + 1))
+        }
+
+        return dispatch(0)
     }
 
     /**
-     * Check cooldown for a command
+     * Execute a command (or its subcommand) once the middlewares passed
      * @private
-     * @param {string} jid User or group JID
-     * @param {object} command Command object
-     * @returns {object} Result and time left
+     * @param {object} msg WhatsApp message
+     * @param {object} context Command context
      */
-    _checkCooldown(jid, command) {
-        const cooldownAmount = (command.cooldown || 3) * 1000
-        const now = Date.now()
+    async _execute(msg, context) {
+        const { command, subcommand } = context
+        const target = subcommand || command
+
+        if (!target.execute) {
+            return context.deny(
+                'subcommand',
+                this._formatSubcommandList(
+                    command,
+                    context.prefix,
+                    context.rawArgs[0]
+                )
+            )
+        }
+
+        const startedAt = Date.now()
+        this._emit('command.start', this._eventData(msg, context))
 
-        // Create cooldown entry if it doesn't exist
-        if (!this.cooldowns.has(command.name)) {
-            this.cooldowns.set(command.name, new Map())
+        // Execute command with proper parameters
+        try {
+            if (target.execute.length <= 3) {
+                // Command doesn't expect context parameter
+                await target.execute(this.terra, msg, context.rawArgs)
+            } else {
+                // Command expects context parameter
+                await target.execute(this.terra, msg, context.rawArgs, context)
+            }
+
+            this._emit('command.success', {
+                ...this._eventData(msg, context),
+                duration: Date.now() - startedAt,
+            })
+        } catch (execError) {
+            this.logger.error(
+                `Error executing command ${command.name}: ${execError.message}`
+            )
+            this._emit('command.error', {
+                ...this._eventData(msg, context),
+                duration: Date.now() - startedAt,
+                error: execError,
+            })
+            await this.terra.reply(
+                msg,
+                `❌ Error executing command: ${execError.message}`
+            )
         }
+    }
 
-        const timestamps = this.cooldowns.get(command.name)
+    /**
+     * Build the data sent with command events
+     * @private
+     * @param {object} msg WhatsApp message
+     * @param {object} context Command context
+     * @returns {object} Event data
+     */
+    _eventData(msg, context) {
+        const { command, subcommand } = context
+        return {
+            name: subcommand
+                ? `${command.name} ${subcommand.name}`
+                : command.name,
+            command,
+            subcommand,
+            args: context.rawArgs,
+            context,
+            msg,
+        }
+    }
 
-        if (timestamps.has(jid)) {
-            const expirationTime = timestamps.get(jid) + cooldownAmount
+    /**
+     * Emit a command event to listeners and event files
+     * @private
+     * @param {string} name Event name
+     * @param {object} data Event data
+     */
+    _emit(name, data) {
+        // Not awaited, listeners must not slow down commands
+        this.terra.eventHandler?.handleEvent(name, data)
+    }
 
-            if (now < expirationTime) {
-                const timeLeft = (expirationTime - now) / 1000
-                return { result: false, timeLeft }
-            }
+    /**
+     * Find the prefix a message starts with
+     * @param {string} content Message text
+     * @param {object} msg WhatsApp message
+     * @param {object} settings Resolved chat settings
+     * @returns {string|null} Matched prefix ('' for prefix-less private chats), or null
+     */
+    matchPrefix(content, msg, settings) {
+        // Longest first so a prefix like "!!" wins over "!"
+        const prefixes = [...settings.prefixes].sort(
+            (a, b) => b.length - a.length
+        )
+        const matched = prefixes.find((prefix) => content.startsWith(prefix))
+        if (matched) return matched
+
+        // Mentioning the bot works as a prefix ("@bot help")
+        const botNumber = this.terra.socket?.user?.id?.split(/[:@]/)[0]
+        if (this.terra.config.mentionPrefix && botNumber) {
+            const mention = content.match(new RegExp(`^@${botNumber}\\s*`))
+            if (mention) return mention[0]
+        }
+
+        // Optionally accept bare command names in private chats
+        if (
+            this.terra.config.privatePrefixless &&
+            !msg.key.remoteJid.endsWith('@g.us')
+        ) {
+            const name = content.trim().split(/\s+/)[0]
+            if (name && this.getCommand(name)) return ''
         }
 
-        // Set cooldown
-        timestamps.set(jid, now)
-        setTimeout(() => timestamps.delete(jid), cooldownAmount)
+        return null
+    }
+
+    /**
+     * Find the command a message invokes
+     * @param {string} content Message text
+     * @param {object} msg WhatsApp message
+     * @param {object} settings Resolved chat settings
+     * @returns {object|null} Command, or null if the message is not a known command
+     */
+    matchCommand(content, msg, settings) {
+        const prefix = this.matchPrefix(content, msg, settings)
+        if (prefix === null) return null
+
+        const [name] = content.slice(prefix.length).trim().split(/\s+/, 1)
+        return name ? this.getCommand(name.toLowerCase()) : null
+    }
+
+    /**
+     * Check if a user is the bot owner
+     * @param {string} jid JID of the user to check
+     * @returns {boolean} Whether the user is the owner
+     */
+    isOwner(jid) {
+        return this.terra.roleManager.isOwner(jid)
+    }
+
+    /**
+     * Check if a user is an admin in a group
+     * @param {string} jid JID of the user to check
+     * @param {Object} groupMetadata Group metadata
+     * @returns {boolean} Whether the user is an admin
+     */
+    isAdmin(jid, groupMetadata) {
+        if (!groupMetadata || !groupMetadata.participants) return false
 
-        return { result: true, timeLeft: 0 }
+        // Check if the user is in the participants list and has admin privileges
+        return groupMetadata.participants.some(
+            (p) => p.id === jid && ['admin', 'superadmin'].includes(p.admin)
+        )
     }
 
     /**
@@ -505,42 +842,143 @@ class CommandHandler {
     }
 
     /**
-     * Check command permissions
+     * Find the commands closest to a mistyped name
+     * @param {string} input Mistyped command name
+     * @param {number} limit Maximum number of suggestions
+     * @param {object} context Command context of the user; only commands they may run are suggested (without one, only unrestricted commands)
+     * @returns {Array<object>} Matching commands, closest first
+     */
+    getSuggestions(input, limit = 3, context = null) {
+        const name = input.toLowerCase()
+        // Allow roughly one typo per three characters
+        const maxDistance = Math.max(1, Math.floor(name.length / 3))
+        const best = new Map() // Command name -> { command, distance }
+
+        const candidates = [
+            ...this.commands.keys(),
+            ...this.aliases.keys(),
+        ].map((candidate) => [candidate, this.getCommand(candidate)])
+
+        // The same check the permissions middleware runs
+        const isAllowed = (command) =>
+            context
+                ? !getPermissionError(this.terra, command, context)
+                : !command.ownerOnly &&
+                  !command.adminOnly &&
+                  ![].concat(command.permissions || []).length
+
+        for (const [candidate, command] of candidates) {
+            if (!command || !isAllowed(command)) continue
+
+            const distance = editDistance(name, candidate)
+            if (distance > maxDistance) continue
+
+            const current = best.get(command.name)
+            if (!current || distance < current.distance) {
+                best.set(command.name, { command, distance })
+            }
+        }
+
+        return Array.from(best.values())
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit)
+            .map(({ command }) => command)
+    }
+
+    /**
+     * Reply to an unknown command with the closest matches
      * @private
-     * @param {object} command Command to check
-     * @param {object} context Command context
-     * @returns {object} Result object with error property if permission check fails
+     * @param {object} msg WhatsApp message
+     * @param {string} input Command name the user typed
+     * @param {object} settings Resolved chat settings
+     * @param {string} prefix Prefix the message matched
      */
-    _checkCommandPermissions(command, context) {
-        const { isGroup, isOwner, isAdmin } = context
+    async _suggestCommands(msg, input, settings, prefix) {
+        if (!settings.suggestions) return
 
-        // Check if command is group-only
-        if (command.groupOnly && !isGroup) {
-            return { error: '❌ This command can only be used in groups.' }
-        }
+        // Stay quiet for users the bot would ignore anyway
+        const sender = msg.key.participant || msg.key.remoteJid
+        const isOwner = this.isOwner(sender)
+        if (this.terra.config.privateMode && !isOwner) return
+        if (this.terra.roleManager.isBanned(sender, msg.key.remoteJid)) return
+
+        const context = await this._getCommandContext(
+            msg,
+            null,
+            settings,
+            prefix
+        )
+        const suggestions = this.getSuggestions(input, 3, context)
+        if (!suggestions.length) return
+
+        const names = suggestions
+            .map((command) => `*${prefix}${command.name}*`)
+            .join(', ')
+        return this.terra.reply(
+            msg,
+            `❓ Unknown command *${input}*. Did you mean ${names}?`
+        )
+    }
 
-        // Check if command is private-only
-        if (command.privateOnly && isGroup) {
-            return {
-                error: '❌ This command can only be used in private chats.',
-            }
-        }
+    /**
+     * Get a subcommand of a command by name or alias
+     * @param {object} command Command object
+     * @param {string} nameOrAlias Subcommand name or alias
+     * @returns {Object|null} Subcommand object or null if not found
+     */
+    getSubcommand(command, nameOrAlias) {
+        if (!command.subcommands || !nameOrAlias) return null
 
-        // Check if command is owner-only
-        if (command.ownerOnly && !isOwner) {
-            return {
-                error: '❌ This command can only be used by the bot owner.',
-            }
-        }
+        const lowerName = nameOrAlias.toLowerCase()
+        return (
+            Object.values(command.subcommands).find(
+                (sub) =>
+                    sub.name === lowerName || sub.aliases.includes(lowerName)
+            ) || null
+        )
+    }
 
-        // Check if command requires admin (for groups)
-        if (command.adminOnly && isGroup && !isAdmin) {
-            return {
-                error: '❌ This command can only be used by group admins.',
-            }
+    /**
+     * Get the usage line of a command
+     * @param {object} command Command object
+     * @param {string} prefix Prefix to show
+     * @param {object} subcommand Subcommand object (optional)
+     * @returns {string} Usage text
+     */
+    getUsage(command, prefix, subcommand = null) {
+        const target = subcommand || command
+        if (target.usage) return target.usage.replace(/{prefix}/g, prefix)
+        if (subcommand) {
+            return buildUsage(
+                subcommand,
+                prefix,
+                `${command.name} ${subcommand.name}`
+            )
+        }
+        if (command.subcommands && !command.args && !command.flags) {
+            const names = Object.keys(command.subcommands).join('|')
+            return `${prefix}${command.name} <${names}>`
         }
+        return buildUsage(command, prefix)
+    }
 
-        return { error: null }
+    /**
+     * Build the reply listing a command's subcommands
+     * @private
+     * @param {object} command Command object
+     * @param {string} prefix Prefix to show
+     * @param {string} input Subcommand name the user typed (optional)
+     * @returns {string} Reply text
+     */
+    _formatSubcommandList(command, prefix, input) {
+        let text = input
+            ? `❌ Unknown subcommand: *${input}*\n\n`
+            : `❌ Please choose a subcommand.\n\n`
+        text += `*Subcommands of ${prefix}${command.name}:*\n`
+        for (const sub of Object.values(command.subcommands)) {
+            text += `• ${this.getUsage(command, prefix, sub)}\n  ↳ ${sub.description || '-'}\n`
+        }
+        return text.trim()
     }
 }
 
@@ -1,6 +1,7 @@
 const fs = require('fs-extra')
 const path = require('path')
 const EventEmitter = require('events')
+const chokidar = require('chokidar')
 
 class EventHandler extends EventEmitter {
     constructor(terra) {
@@ -8,6 +9,38 @@ class EventHandler extends EventEmitter {
         this.terra = terra
         this.logger = this.terra.logger.child({ name: 'EventHandler' })
         this.events = new Map()
+        this.files = new Map() // Event file path -> event name
+        this.eventsDir = path.join(process.cwd(), 'events')
+        // Start watcher
+        this._initWatcher()
+    }
+
+    _initWatcher() {
+        const watcher = chokidar.watch(this.eventsDir, {
+            ignored: /(^|[\/\\])\../,
+            ignoreInitial: true,
+        })
+
+        watcher
+            .on('add', (file) => this._onFileEvent('add', file))
+            .on('change', (file) => this._onFileEvent('change', file))
+            .on('unlink', (file) => this._onFileEvent('unlink', file))
+
+        this.logger.info(`Watching events for changes…`)
+    }
+
+    _onFileEvent(event, filePath) {
+        if (!filePath.endsWith('.js')) return
+
+        this.logger.debug(`File ${event}: ${filePath}`)
+
+        if (event === 'unlink') {
+            delete require.cache[filePath]
+            const name = this._unloadEventFile(filePath)
+            if (name) this.logger.info(`Unloaded event: ${name}`)
+        } else if (this._loadEventFile(filePath)) {
+            this.logger.info(`Reloaded event from: ${filePath}`)
+        }
     }
 
     /**
@@ -18,14 +51,13 @@ class EventHandler extends EventEmitter {
         try {
             // Reset events map
             this.events.clear()
-
-            const eventsDir = path.join(process.cwd(), 'events')
+            this.files.clear()
 
             // Ensure events directory exists
-            await fs.ensureDir(eventsDir)
+            await fs.ensureDir(this.eventsDir)
 
             // Check if directory is empty
-            const files = await fs.readdir(eventsDir)
+            const files = await fs.readdir(this.eventsDir)
             if (files.length === 0) {
                 this.logger.warn(
                     'Events directory is empty. Please add event files.'
@@ -33,37 +65,9 @@ class EventHandler extends EventEmitter {
             }
 
             // Load events
-            const eventFiles = (await fs.readdir(eventsDir)).filter((file) =>
-                file.endsWith('.js')
-            )
-
+            const eventFiles = files.filter((file) => file.endsWith('.js'))
             for (const file of eventFiles) {
-                try {
-                    // Clear cache to reload if changed
-                    delete require.cache[
-                        require.resolve(path.join(eventsDir, file))
-                    ]
-
-                    // Import event
-                    const event = require(path.join(eventsDir, file))
-
-                    // Validate event structure
-                    if (!event.name || !event.execute) {
-                        this.logger.warn(
-                            `Event in ${file} is missing required properties`
-                        )
-                        continue
-                    }
-
-                    // Register event
-                    this.events.set(event.name.toLowerCase(), event)
-
-                    this.logger.debug(`Loaded event: ${event.name}`)
-                } catch (error) {
-                    this.logger.error(
-                        `Error loading event ${file}: ${error.message}`
-                    )
-                }
+                this._loadEventFile(path.join(this.eventsDir, file))
             }
 
             this.logger.info(`Loaded ${this.events.size} events`)
@@ -74,6 +78,70 @@ class EventHandler extends EventEmitter {
         }
     }
 
+    /**
+     * Load (or reload) a single event file
+     * @private
+     * @param {string} filePath Path to the event file
+     * @returns {boolean} Whether the event was registered
+     */
+    _loadEventFile(filePath) {
+        const file = path.basename(filePath)
+
+        try {
+            // Clear cache to reload if changed
+            delete require.cache[require.resolve(filePath)]
+
+            // Import event
+            const event = require(filePath)
+
+            // Validate event structure
+            if (!event.name || !event.execute) {
+                this.logger.warn(
+                    `Event in ${file} is missing required properties`
+                )
+                return false
+            }
+
+            // Never replace an event of another file: unloading this one
+            // later could not bring it back
+            const name = event.name.toLowerCase()
+            if (this.events.has(name) && this.files.get(filePath) !== name) {
+                this.logger.warn(
+                    `Event ${event.name} in ${file} is already handled by another file`
+                )
+                return false
+            }
+
+            // Drop what this file registered before (its name may have changed)
+            this._unloadEventFile(filePath)
+
+            // Register event
+            this.events.set(name, event)
+            this.files.set(filePath, name)
+
+            this.logger.debug(`Loaded event: ${event.name}`)
+            return true
+        } catch (error) {
+            this.logger.error(`Error loading event ${file}: ${error.message}`)
+            return false
+        }
+    }
+
+    /**
+     * Remove the event registered by a file
+     * @private
+     * @param {string} filePath Path to the event file
+     * @returns {string|null} Name of the removed event
+     */
+    _unloadEventFile(filePath) {
+        const name = this.files.get(filePath)
+        if (!name) return null
+
+        this.files.delete(filePath)
+        this.events.delete(name)
+        return name
+    }
+
     /**
      * Handle an event
      * @param {string} eventName Name of the event
@@ -0,0 +1,254 @@
+const { parseArgs, formatDuration } = require('../utils/ArgumentParser')
+
+/**
+ * Built-in command middlewares, in the order they run.
+ * Each one is called with (msg, context, next) and either calls next()
+ * or stops the command with context.deny(reason, message).
+ */
+
+/**
+ * Only let owners and group admins use commands in private mode
+ * @param {object} terra Terra instance
+ * @param {object} logger Logger
+ */
+function privateMode(terra, logger) {
+    return async (msg, context, next) => {
+        if (terra.config.privateMode && !context.isOwner && !context.isAdmin) {
+            logger.debug(`Ignoring command from ${context.name} (private mode)`)
+            return context.deny('privateMode')
+        }
+        return next()
+    }
+}
+
+/**
+ * Refuse banned users, telling them once why
+ * @param {object} terra Terra instance
+ * @param {object} logger Logger
+ */
+function ban(terra, logger) {
+    const notices = new Set() // Chat/user pairs already told about their ban
+
+    return async (msg, context, next) => {
+        const record = terra.roleManager.getBan(context.sender, context.chatJid)
+        const noticeKey = `${context.chatJid}_${context.sender}`
+
+        if (!record) {
+            notices.delete(noticeKey)
+            return next()
+        }
+
+        logger.debug(`Ignoring command from banned user ${context.sender}`)
+        if (notices.has(noticeKey)) return context.deny('banned')
+
+        notices.add(noticeKey)
+        let text = `🚫 You are banned from using this bot${record.group ? ' in this group' : ''}.`
+        if (record.reason) text += `\n*Reason:* ${record.reason}`
+        if (record.expiresAt) {
+            text += `\n*Expires in:* ${formatDuration(record.expiresAt - Date.now())}`
+        }
+        return context.deny('banned', text)
+    }
+}
+
+/**
+ * Refuse commands turned off globally or by the chat settings
+ * @param {object} terra Terra instance
+ */
+function chatSettings(terra) {
+    return async (msg, context, next) => {
+        const { command, settings } = context
+        const disabled = terra.groupSettingsManager.getDisabled(
+            command,
+            context.chatJid
+        )
+
+        if (disabled) {
+            const where =
+                disabled.scope === 'global'
+                    ? 'by the bot owner'
+                    : `in this ${context.isGroup ? 'group' : 'chat'}`
+            return context.deny(
+                'disabled',
+                disabled.type === 'category'
+                    ? `🚫 The *${command.category}* category is disabled ${where}.`
+                    : `🚫 This command is disabled ${where}.`
+            )
+        }
+
+        if (command.nsfw && !settings.nsfw) {
+            return context.deny(
+                'nsfw',
+                '🔞 NSFW commands are disabled in this group.'
+            )
+        }
+
+        return next()
+    }
+}
+
+/**
+ * Check the permission flags and roles of a command and its subcommand
+ * @param {object} terra Terra instance
+ */
+function permissions(terra) {
+    return async (msg, context, next) => {
+        const checked = [context.command, context.subcommand].filter(Boolean)
+
+        for (const command of checked) {
+            const error = getPermissionError(terra, command, context)
+            if (error) return context.deny('permission', error)
+        }
+
+        return next()
+    }
+}
+
+/**
+ * Get the reason a user may not run a command
+ * @param {object} terra Terra instance
+ * @param {object} command Command or subcommand
+ * @param {object} context Command context
+ * @returns {string|null} Error message, or null if allowed
+ */
+function getPermissionError(terra, command, context) {
+    const { isGroup, isOwner, isAdmin, sender, chatJid } = context
+
+    // Check if command is group-only
+    if (command.groupOnly && !isGroup) {
+        return '❌ This command can only be used in groups.'
+    }
+
+    // Check if command is private-only
+    if (command.privateOnly && isGroup) {
+        return '❌ This command can only be used in private chats.'
+    }
+
+    // Check if command is owner-only
+    if (command.ownerOnly && !isOwner) {
+        return '❌ This command can only be used by the bot owner.'
+    }
+
+    // Check if command requires admin (for groups)
+    if (command.adminOnly && isGroup && !isAdmin) {
+        return '❌ This command can only be used by group admins.'
+    }
+
+    // Check if command requires a role (any of the listed ones,
+    // 'admin' standing for group admins)
+    const roles = [].concat(command.permissions || [])
+    if (
+        roles.length &&
+        !roles.some((role) =>
+            role === 'admin'
+                ? isGroup && isAdmin
+                : terra.roleManager.hasRole(sender, role, chatJid)
+        )
+    ) {
+        return `❌ This command requires the *${roles.join('* or *')}* role.`
+    }
+
+    return null
+}
+
+/**
+ * Apply the cooldown of the command (a subcommand can override the parent's)
+ * @param {object} terra Terra instance
+ */
+function cooldown(terra) {
+    return async (msg, context, next) => {
+        const { command, subcommand } = context
+        const target = subcommand || command
+        const seconds = target.cooldown ?? command.cooldown
+        if (!seconds) return next()
+
+        const { result, timeLeft } = terra.cooldownManager.check(
+            subcommand ? `${command.name} ${subcommand.name}` : command.name,
+            {
+                cooldown: seconds,
+                scope: target.cooldownScope ?? command.cooldownScope,
+                uses: target.cooldownUses ?? command.cooldownUses,
+            },
+            { sender: context.sender, chatJid: context.chatJid }
+        )
+
+        if (!result) {
+            return context.deny(
+                'cooldown',
+                `⏳ Please wait ${timeLeft.toFixed(1)} more seconds before using this command again.`
+            )
+        }
+
+        return next()
+    }
+}
+
+/**
+ * Parse declared arguments and flags into context.args
+ * @param {object} terra Terra instance
+ */
+function args(terra) {
+    return async (msg, context, next) => {
+        const target = context.subcommand || context.command
+        if (!target.args && !target.flags) return next()
+
+        const parsed = parseArgs(target, context.text, {
+            mentions:
+                msg.message?.extendedTextMessage?.contextInfo?.mentionedJid ||
+                [],
+        })
+        if (parsed.error) {
+            const usage = terra.commandHandler.getUsage(
+                context.command,
+                context.prefix,
+                context.subcommand
+            )
+            return context.deny(
+                'arguments',
+                `❌ ${parsed.error}\n\n*Usage:* ${usage}`
+            )
+        }
+
+        context.args = parsed.args
+        return next()
+    }
+}
+
+/**
+ * Log command usage
+ * @param {object} terra Terra instance
+ * @param {object} logger Logger
+ */
+function logging(terra, logger) {
+    return async (msg, context, next) => {
+        const name = context.subcommand
+            ? `${context.command.name} ${context.subcommand.name}`
+            : context.command.name
+        logger.info(
+            `${context.sender} used command: ${name} ${context.rawArgs.join(' ')}`
+        )
+        return next()
+    }
+}
+
+/**
+ * Create the built-in middlewares in the order they run
+ * @param {object} terra Terra instance
+ * @param {object} logger Logger
+ * @returns {Array<{name: string, fn: Function}>} Named middlewares
+ */
+function createBuiltinMiddlewares(terra, logger) {
+    return Object.entries({
+        privateMode,
+        ban,
+        chatSettings,
+        permissions,
+        // Before the cooldown, so a mistyped call doesn't use up a hit
+        args,
+        cooldown,
+        logging,
+    }).map(([name, factory]) => ({ name, fn: factory(terra, logger) }))
+}
+
+module.exports = createBuiltinMiddlewares
+module.exports.getPermissionError = getPermissionError
@@ -23,6 +23,7 @@ if (!fs.existsSync(configPath)) {
         owners: [''], // Set this to your WhatsApp number with country code
         statusMessage: '🤖 TerraBot Active | Use .help for commands',
         sessionPath: path.join(process.cwd(), 'sessions'),
+        dataPath: path.join(process.cwd(), 'data'),
         logLevel: 'info',
         maxReconnects: 5,
         reconnectInterval: 3000,
@@ -35,6 +36,10 @@ if (!fs.existsSync(configPath)) {
         usePairing: true,
         privateMode: false,
         debugMessage: false,
+        leveling: {
+            enabled: false,
+            levelUpMessages: false,
+        },
     }
 
     fs.writeFileSync(configPath, JSON.stringify(config, null, 2))
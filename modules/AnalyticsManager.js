@@ -0,0 +1,244 @@
+// Report periods in ms (null: all time)
+const PERIODS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    all: null,
+}
+
+// How often uses older than the retention are deleted
+const PRUNE_INTERVAL = 60 * 60 * 1000
+
+class AnalyticsManager {
+    constructor(terra) {
+        this.name = 'analytics'
+        this.terra = terra
+        this.logger = this.terra.logger.child({ name: 'AnalyticsManager' })
+        this.db = null
+        this.daily = null // Uses and errors per command per day, kept forever
+        this.counter = 0
+        this.pruneTimer = null
+        this.listeners = {
+            'command.success': (data) => this.record(data, true),
+            'command.error': (data) => this.record(data, false),
+        }
+        this.options = {
+            enabled: true,
+            retentionDays: 30,
+            ...this.terra.config.analytics,
+        }
+    }
+
+    async initialize() {
+        if (!this.options.enabled) return
+
+        this.db = await this.terra.db.collection('analytics', {
+            indexes: ['command'],
+        })
+        this.daily = await this.terra.db.collection('analytics_daily')
+
+        // Totals start from the uses still retained the first time
+        if (this.daily.size === 0) {
+            for (const entry of this.db.values()) this._count(entry)
+        }
+
+        this.prune()
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL)
+        this.pruneTimer.unref()
+
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            this.terra.eventHandler.on(event, listener)
+        }
+    }
+
+    /**
+     * Stop recording (called before the module is reloaded or unloaded)
+     */
+    destroy() {
+        clearInterval(this.pruneTimer)
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            this.terra.eventHandler.off(event, listener)
+        }
+    }
+
+    /**
+     * Record a finished command invocation
+     * @param {object} data Command event data
+     * @param {boolean} success Whether the command succeeded
+     */
+    record(data, success) {
+        if (!this.db) return
+
+        const now = Date.now()
+        const key = `${now.toString(36)}_${(this.counter++).toString(36)}`
+
+        const entry = {
+            command: data.name,
+            user: this.terra.roleManager.normalize(data.context.sender),
+            chat: data.context.chatJid,
+            success,
+            error: success ? null : data.error?.message || null,
+            duration: data.duration,
+            at: now,
+        }
+
+        // Old uses are deleted by prune(), not with a ttl per record
+        this.db.set(key, entry)
+        this._count(entry)
+    }
+
+    /**
+     * Add a use to the daily totals
+     * @private
+     * @param {object} entry Recorded use
+     */
+    _count(entry) {
+        const day = new Date(entry.at).toISOString().slice(0, 10)
+        const key = `${day}:${entry.command}`
+        const total = this.daily.get(key, {
+            day,
+            command: entry.command,
+            count: 0,
+            errors: 0,
+        })
+
+        this.daily.set(key, {
+            ...total,
+            count: total.count + 1,
+            errors: total.errors + (entry.success ? 0 : 1),
+        })
+    }
+
+    /**
+     * Delete the uses older than the retention (the daily totals stay)
+     * @returns {number} Number of deleted uses
+     */
+    prune() {
+        if (!this.db) return 0
+
+        const before = Date.now() - this.options.retentionDays * PERIODS.day
+        const keys = this.db
+            .findEntries((entry) => entry.at < before)
+            .map(([key]) => key)
+        for (const key of keys) this.db.delete(key)
+
+        if (keys.length) {
+            this.logger.debug(`Pruned ${keys.length} old command uses`)
+        }
+        return keys.length
+    }
+
+    /**
+     * Get the daily totals of every command
+     * @returns {Array<Object>} Totals ({day, command, count, errors}), oldest first
+     */
+    getDailyTotals() {
+        if (!this.daily) return []
+
+        return this.daily
+            .values()
+            .sort(
+                (a, b) =>
+                    a.day.localeCompare(b.day) ||
+                    a.command.localeCompare(b.command)
+            )
+    }
+
+    /**
+     * Get the recorded invocations of a period
+     * @param {string} period 'day', 'week' or 'all' (the whole retention)
+     * @returns {Array<Object>} Invocations, oldest first
+     */
+    getEntries(period = 'day') {
+        if (!this.db) return []
+
+        const since = PERIODS[period] ? Date.now() - PERIODS[period] : 0
+        return this.db
+            .find((entry) => entry.at >= since)
+            .sort((a, b) => a.at - b.at)
+    }
+
+    /**
+     * Summarize the invocations of a period. For 'all', the counts come from
+     * the daily totals, while top users and latencies cover the retained uses
+     * @param {string} period 'day', 'week' or 'all'
+     * @param {number} limit Number of top commands and users
+     * @returns {Object} Report
+     */
+    getReport(period = 'day', limit = 5) {
+        const entries = this.getEntries(period)
+        const commands = new Map()
+        const users = new Map()
+
+        const getCommand = (name) => {
+            if (!commands.has(name)) {
+                commands.set(name, { name, count: 0, errors: 0, durations: [] })
+            }
+            return commands.get(name)
+        }
+
+        for (const entry of entries) {
+            getCommand(entry.command).durations.push(entry.duration)
+            users.set(entry.user, (users.get(entry.user) || 0) + 1)
+        }
+
+        const totals =
+            period === 'all'
+                ? this.getDailyTotals()
+                : entries.map((entry) => ({
+                      command: entry.command,
+                      count: 1,
+                      errors: entry.success ? 0 : 1,
+                  }))
+        let total = 0
+        let errors = 0
+        for (const { command: name, count, errors: failed } of totals) {
+            const command = getCommand(name)
+            command.count += count
+            command.errors += failed
+            total += count
+            errors += failed
+        }
+
+        return {
+            period,
+            since: period === 'all' ? totals[0]?.day || null : null,
+            total,
+            errors,
+            errorRate: total ? errors / total : 0,
+            p95: percentile(
+                entries.map((entry) => entry.duration),
+                95
+            ),
+            topCommands: Array.from(commands.values())
+                .sort((a, b) => b.count - a.count)
+                .slice(0, limit)
+                .map(({ durations, ...command }) => ({
+                    ...command,
+                    errorRate: command.count
+                        ? command.errors / command.count
+                        : 0,
+                    p95: percentile(durations, 95),
+                })),
+            topUsers: Array.from(users.entries())
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, limit)
+                .map(([jid, count]) => ({ jid, count })),
+        }
+    }
+}
+
+/**
+ * Get a percentile of a list of numbers (nearest rank)
+ * @param {number[]} values Values
+ * @param {number} p Percentile (0-100)
+ * @returns {number|null} Percentile value (null for an empty list)
+ */
+function percentile(values, p) {
+    if (!values.length) return null
+
+    const sorted = [...values].sort((a, b) => a - b)
+    const rank = Math.ceil((p / 100) * sorted.length) - 1
+    return sorted[Math.max(0, rank)]
+}
+
+module.exports = AnalyticsManager
@@ -0,0 +1,165 @@
+const { proto } = require('@fizzxydev/baileys-pro')
+
+const { REVOKE } = proto.Message.ProtocolMessage.Type
+
+class AntiDeleteManager {
+    constructor(terra) {
+        this.name = 'antidelete'
+        this.terra = terra
+        this.logger = this.terra.logger.child({ name: 'AntiDeleteManager' })
+        this.listener = (msg) =>
+            this.handleMessage(msg).catch((error) =>
+                this.logger.error(
+                    `Error reposting deleted message: ${error.message}`
+                )
+            )
+        this.options = {
+            forwardPrivate: false,
+            ...this.terra.config.antiDelete,
+        }
+    }
+
+    initialize() {
+        this.terra.eventHandler.on('message', this.listener)
+    }
+
+    /**
+     * Stop watching deletes (called before the module is reloaded or unloaded)
+     */
+    destroy() {
+        this.terra.eventHandler.off('message', this.listener)
+    }
+
+    /**
+     * Repost the original of a deleted message, in groups with anti-delete
+     * on and, if configured, to the owners for private chats
+     * @param {Object} msg Incoming message
+     */
+    async handleMessage(msg) {
+        const store = this.terra.storeManager
+        // Unwrapped, as deletes in disappearing-message chats are ephemeral
+        const protocol = store.getContent(msg).protocolMessage
+        if (protocol?.type !== REVOKE || !protocol.key?.id) return
+
+        // Deletes by the bot itself are intentional (e.g. anti-link)
+        if (msg.key.fromMe) return
+
+        const chatJid = msg.key.remoteJid
+        const isGroup = chatJid.endsWith('@g.us')
+        const targets = isGroup
+            ? this.terra.groupSettingsManager.get(chatJid).antiDelete
+                ? [chatJid]
+                : []
+            : this.options.forwardPrivate
+              ? this._getOwnerJids()
+              : []
+        if (!targets.length) return
+
+        const original = store.getMessage({
+            remoteJid: chatJid,
+            id: protocol.key.id,
+        })
+        if (!original || original.key.fromMe) {
+            this.logger.debug(`Deleted message ${protocol.key.id} not stored`)
+            return
+        }
+
+        const author = original.key.participant || chatJid
+        const deleter = msg.key.participant || chatJid
+        const header = await this._getHeader(original, author, deleter, isGroup)
+        const text = store.getText(original)
+        const mediaType = store.getMediaType(original)
+        const fileName =
+            store.getContent(original).documentMessage?.fileName || 'file'
+
+        let media = null
+        if (mediaType) {
+            media = await this.terra.downloadMedia(original).catch(() => null)
+        }
+
+        this.logger.info(
+            `Reposting message ${protocol.key.id} deleted in ${chatJid}`
+        )
+        for (const jid of targets) {
+            await this._repost(
+                jid,
+                { header, text, mediaType, media, fileName },
+                [...new Set([author, deleter])]
+            )
+        }
+    }
+
+    /**
+     * Describe who sent and deleted a message, and when
+     * @private
+     */
+    async _getHeader(original, author, deleter, isGroup) {
+        const tag = (jid) => `@${jid.split('@')[0]}`
+        const time = (ms) => new Date(ms).toLocaleString()
+
+        let header = '🗑️ *Deleted message*\n'
+        if (isGroup) {
+            header += `*From:* ${tag(author)}\n`
+        } else {
+            // Forwarded to the owners, where the mention alone is not enough
+            const name = await this.terra.contactManager.getName(author)
+            header += `*From:* ${name} (${tag(author)})\n`
+        }
+        if (deleter !== author) header += `*Deleted by:* ${tag(deleter)}\n`
+        header += `*Sent:* ${time(this.terra.storeManager.getTimestamp(original))}\n`
+        header += `*Deleted:* ${time(Date.now())}`
+        return header
+    }
+
+    /**
+     * Send a recovered message to a chat
+     * @private
+     * @param {string} jid Chat to send to
+     * @param {Object} recovered Header, text, media type, media buffer and file name
+     * @param {string[]} mentions JIDs mentioned in the header
+     */
+    async _repost(jid, { header, text, mediaType, media, fileName }, mentions) {
+        const caption = text ? `${header}\n\n${text}` : header
+        const options = { mentions }
+
+        if (mediaType && !media) {
+            await this.terra.sendMessage(jid, {
+                text: `${caption}\n\n_(${mediaType} could not be recovered)_`,
+                mentions,
+            })
+        } else if (mediaType === 'image') {
+            await this.terra.sendImage(jid, media, caption, options)
+        } else if (mediaType === 'video') {
+            await this.terra.sendVideo(jid, media, caption, options)
+        } else if (mediaType === 'document') {
+            await this.terra.sendDocument(
+                jid,
+                media,
+                fileName,
+                caption,
+                options
+            )
+        } else {
+            // Audio and stickers have no caption
+            await this.terra.sendMessage(jid, { text: caption, mentions })
+            if (mediaType === 'audio') {
+                await this.terra.sendAudio(jid, media)
+            } else if (mediaType === 'sticker') {
+                await this.terra.sendSticker(jid, media)
+            }
+        }
+    }
+
+    /**
+     * Get the chat JIDs of the configured owners
+     * @private
+     */
+    _getOwnerJids() {
+        return (this.terra.config.owners || [])
+            .map((owner) => this.terra.roleManager.normalize(owner))
+            .filter(Boolean)
+            .map((number) => `${number}@s.whatsapp.net`)
+    }
+}
+
+module.exports = AntiDeleteManager
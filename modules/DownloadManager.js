@@ -7,12 +7,13 @@ const pipeline = promisify(stream.pipeline)
 class DownloadManager {
     constructor(terra) {
         this.name = 'download'
+        this.dependencies = ['api']
         this.terra = terra
         this.logger = this.terra.logger.child({ name: 'DownloadManager' })
     }
 
     async downloadFile(url, outputPath) {
-        const response = await this.terra.modules.get('api').axios({
+        const response = await this.terra.modulesManager.get('api').axios({
             url,
             method: 'GET',
             responseType: 'stream',
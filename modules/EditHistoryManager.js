@@ -0,0 +1,74 @@
+class EditHistoryManager {
+    constructor(terra) {
+        this.name = 'edits'
+        this.terra = terra
+        this.logger = this.terra.logger.child({ name: 'EditHistoryManager' })
+        this.listener = (msg) =>
+            this.handleMessage(msg).catch((error) =>
+                this.logger.error(`Error announcing edit: ${error.message}`)
+            )
+    }
+
+    initialize() {
+        this.terra.eventHandler.on('message', this.listener)
+    }
+
+    /**
+     * Stop announcing edits (called before the module is reloaded or unloaded)
+     */
+    destroy() {
+        this.terra.eventHandler.off('message', this.listener)
+    }
+
+    /**
+     * Announce an edit in groups that turned edit announcements on.
+     * The store has already applied the edit when the message event runs
+     * @param {Object} msg Incoming message
+     */
+    async handleMessage(msg) {
+        const store = this.terra.storeManager
+        const edit = store.getEdit(msg)
+        if (!edit || msg.key.fromMe) return
+
+        const chatJid = msg.key.remoteJid
+        if (
+            !chatJid.endsWith('@g.us') ||
+            !this.terra.groupSettingsManager.get(chatJid).announceEdits
+        ) {
+            return
+        }
+
+        const key = { remoteJid: chatJid, id: edit.key.id }
+        const revisions = store.getRevisions(key)
+        if (revisions.length < 2) return
+
+        const [before, after] = revisions.slice(-2)
+        const author = msg.key.participant || chatJid
+        await this.terra.sendMessage(
+            chatJid,
+            {
+                text:
+                    `✏️ @${author.split('@')[0]} edited a message\n\n` +
+                    `*Before:* ${describe(store, before)}\n` +
+                    `*After:* ${describe(store, after)}`,
+                mentions: [author],
+            },
+            { quoted: store.getMessage(key) }
+        )
+    }
+}
+
+/**
+ * Get the text of a message version, or what kind of message it is
+ * @param {Object} store StoreManager
+ * @param {Object} revision Message version
+ * @returns {string} Text
+ */
+function describe(store, revision) {
+    return (
+        store.getText(revision) ||
+        `_[${store.getMediaType(revision) || 'no text'}]_`
+    )
+}
+
+module.exports = EditHistoryManager
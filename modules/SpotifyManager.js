@@ -1,6 +1,7 @@
 class SpotifyManager {
     constructor(terra) {
         this.name = 'spotify'
+        this.dependencies = ['api']
         this.terra = terra
         this.logger = this.terra.logger.child({ name: 'SpotifyManager' })
     }
@@ -1,33 +1,387 @@
 const fs = require('fs')
 const path = require('path')
+const chokidar = require('chokidar')
 
 class ModuleManager {
     constructor(terra) {
         this.modules = new Map()
+        this.files = new Map() // Module file path -> module name
+        this.health = new Map() // Module name -> start-up status
         this.terra = terra
         this.logger = this.terra.logger.child({ name: 'ModuleManager' })
+        this.modulesPath = path.join(__dirname)
+        // Start watcher
+        this._initWatcher()
     }
 
+    _initWatcher() {
+        const watcher = chokidar.watch(this.modulesPath, {
+            ignored: /(^|[\/\\])\../,
+            ignoreInitial: true,
+        })
+
+        watcher
+            .on('add', (file) => this._onFileEvent('add', file))
+            .on('change', (file) => this._onFileEvent('change', file))
+            .on('unlink', (file) => this._onFileEvent('unlink', file))
+
+        this.logger.info(`Watching modules for changes…`)
+    }
+
+    async _onFileEvent(event, filePath) {
+        // The manager itself is not a module
+        if (!filePath.endsWith('.js') || filePath === __filename) return
+
+        this.logger.debug(`File ${event}: ${filePath}`)
+
+        if (event === 'unlink') {
+            delete require.cache[filePath]
+            const name = await this._unloadModuleFile(filePath)
+            if (name) this.logger.info(`Unloaded module: ${name}`)
+        } else if (await this._loadModuleFile(filePath)) {
+            this.logger.info(`Reloaded module from: ${filePath}`)
+        }
+    }
+
+    /**
+     * Load every module, starting each one after the modules it depends on
+     * @returns {Promise<number>} Number of modules started
+     */
     async loadModules() {
-        this.modules.clear()
-        const modulesPath = path.join(__dirname)
-        const moduleFiles = await fs
-            .readdirSync(modulesPath)
+        await this.unloadModules()
+
+        const moduleFiles = fs
+            .readdirSync(this.modulesPath)
             .filter((file) => file !== 'index.js' && file.endsWith('.js'))
 
+        // Construct everything first so all dependencies are known
+        const entries = []
         for (const file of moduleFiles) {
-            const modulePath = path.join(modulesPath, file)
-            const ModuleClass = require(modulePath)
+            const modulePath = path.join(this.modulesPath, file)
+            const ModuleClass = this._requireModule(modulePath)
+            const moduleInstance =
+                ModuleClass && this._construct(ModuleClass, modulePath)
+            if (moduleInstance) entries.push({ modulePath, moduleInstance })
+        }
+
+        for (const { modulePath, moduleInstance } of this._sortByDependencies(
+            entries
+        )) {
+            await this._start(moduleInstance, modulePath)
+        }
+
+        this.logger.info(
+            `Started ${this.modules.size} of ${moduleFiles.length} modules`
+        )
+        return this.modules.size
+    }
+
+    /**
+     * Load (or reload) a single module file, destroying the instance it
+     * created before, then restart the modules that depend on it
+     * @private
+     * @param {string} modulePath Path to the module file
+     * @returns {Promise<boolean>} Whether the module started
+     */
+    async _loadModuleFile(modulePath) {
+        // Keep the running instance when the new code does not load
+        const ModuleClass = this._requireModule(modulePath)
+        if (!ModuleClass) return false
+
+        // Release the old instance before the new one is constructed
+        const previous = await this._removeModuleFile(modulePath)
+
+        const moduleInstance = this._construct(ModuleClass, modulePath)
+        const started = moduleInstance
+            ? await this._start(moduleInstance, modulePath)
+            : false
+
+        // Dependents hold the old instance, or failed waiting for this one
+        await this._restartDependents(
+            [previous, moduleInstance?.name].filter(Boolean)
+        )
+        return started
+    }
+
+    /**
+     * Restart every module (running or failed) that depends, directly or
+     * not, on one of the given modules
+     * @private
+     * @param {string[]} names Module names
+     */
+    async _restartDependents(names) {
+        const found = new Set(names)
+        const dependents = [] // Module file paths, closest dependents first
 
-            if (typeof ModuleClass === 'function') {
-                const moduleInstance = new ModuleClass(this.terra)
-                this.modules.set(moduleInstance.name, moduleInstance)
+        let added = true
+        while (added) {
+            added = false
+            for (const [modulePath, name] of this.files) {
+                if (found.has(name)) continue
 
-                if (typeof moduleInstance.initialize === 'function') {
-                    moduleInstance.initialize()
+                const { dependencies = [] } = this.health.get(name) || {}
+                if (dependencies.some((dependency) => found.has(dependency))) {
+                    found.add(name)
+                    dependents.push(modulePath)
+                    added = true
                 }
             }
-            this.logger.info(`Loaded module: ${file}`)
+        }
+        if (!dependents.length) return
+
+        // Stop them dependents first, then start them in dependency order
+        for (const modulePath of [...dependents].reverse()) {
+            await this._removeModuleFile(modulePath)
+        }
+
+        const entries = []
+        for (const modulePath of dependents) {
+            const ModuleClass = this._requireModule(modulePath)
+            const moduleInstance =
+                ModuleClass && this._construct(ModuleClass, modulePath)
+            if (moduleInstance) entries.push({ modulePath, moduleInstance })
+        }
+
+        for (const { modulePath, moduleInstance } of this._sortByDependencies(
+            entries
+        )) {
+            await this._start(moduleInstance, modulePath)
+        }
+    }
+
+    /**
+     * Require a module file, bypassing the require cache
+     * @private
+     * @param {string} modulePath Path to the module file
+     * @returns {Function|null} Module class
+     */
+    _requireModule(modulePath) {
+        const file = path.basename(modulePath)
+
+        try {
+            delete require.cache[require.resolve(modulePath)]
+            const ModuleClass = require(modulePath)
+            if (typeof ModuleClass !== 'function') {
+                this.logger.warn(`Module ${file} does not export a class`)
+                return null
+            }
+            return ModuleClass
+        } catch (error) {
+            this.logger.error(`Error loading module ${file}: ${error.message}`)
+            this._setHealth(path.basename(file, '.js'), 'failed', error.message)
+            return null
+        }
+    }
+
+    /**
+     * Create a module instance and mark it as pending
+     * @private
+     * @param {Function} ModuleClass Module class
+     * @param {string} modulePath Path to the module file
+     * @returns {Object|null} Module instance
+     */
+    _construct(ModuleClass, modulePath) {
+        const file = path.basename(modulePath)
+
+        try {
+            const moduleInstance = new ModuleClass(this.terra)
+            if (!moduleInstance.name) {
+                this.logger.warn(`Module ${file} has no name`)
+                return null
+            }
+
+            this._setHealth(moduleInstance.name, 'pending', null, {
+                dependencies: this._getDependencies(moduleInstance),
+            })
+            return moduleInstance
+        } catch (error) {
+            this.logger.error(`Error loading module ${file}: ${error.message}`)
+            this._setHealth(path.basename(file, '.js'), 'failed', error.message)
+            return null
+        }
+    }
+
+    /**
+     * Order modules so each one comes after its dependencies
+     * (modules in a cycle keep their order and fail to start)
+     * @private
+     * @param {Array<{modulePath: string, moduleInstance: Object}>} entries Constructed modules
+     * @returns {Array<{modulePath: string, moduleInstance: Object}>} Sorted entries
+     */
+    _sortByDependencies(entries) {
+        const byName = new Map(
+            entries.map((entry) => [entry.moduleInstance.name, entry])
+        )
+        const visited = new Set()
+        const sorted = []
+
+        const visit = (entry) => {
+            const { name } = entry.moduleInstance
+            if (visited.has(name)) return
+            visited.add(name)
+
+            for (const dependency of this._getDependencies(
+                entry.moduleInstance
+            )) {
+                if (byName.has(dependency)) visit(byName.get(dependency))
+            }
+            sorted.push(entry)
+        }
+
+        entries.forEach(visit)
+        return sorted
+    }
+
+    /**
+     * Register a module once its dependencies are running and await its
+     * initialize() (bounded by config.moduleTimeout)
+     * @private
+     * @param {Object} moduleInstance Module instance
+     * @param {string} modulePath Path to the module file
+     * @returns {Promise<boolean>} Whether the module started
+     */
+    async _start(moduleInstance, modulePath) {
+        const { name } = moduleInstance
+        const dependencies = this._getDependencies(moduleInstance)
+
+        // Failed modules keep their file too, so they can be started again
+        this.files.set(modulePath, name)
+
+        for (const dependency of dependencies) {
+            if (this.modules.has(dependency)) continue
+
+            const status = this.health.get(dependency)?.status
+            const error = !status
+                ? `missing dependency "${dependency}"`
+                : status === 'pending'
+                  ? `dependency "${dependency}" has not started (circular dependency?)`
+                  : `dependency "${dependency}" ${status}`
+            this.logger.error(`Module ${name} cannot start: ${error}`)
+            this._setHealth(name, 'failed', error, { dependencies })
+            return false
+        }
+
+        this.modules.set(name, moduleInstance)
+        this._setHealth(name, 'starting', null, { dependencies })
+
+        const startedAt = Date.now()
+        try {
+            if (typeof moduleInstance.initialize === 'function') {
+                const timeout = this.terra.config.moduleTimeout
+                await withTimeout(
+                    Promise.resolve(moduleInstance.initialize()),
+                    timeout,
+                    `initialize() timed out after ${timeout}ms`
+                )
+            }
+        } catch (error) {
+            this.logger.error(
+                `Module ${name} failed to start: ${error.message}`
+            )
+            await this._destroy(name)
+            this._setHealth(name, 'failed', error.message, { dependencies })
+            return false
+        }
+
+        const startTime = Date.now() - startedAt
+        this._setHealth(name, 'ready', null, { dependencies, startTime })
+        this.logger.info(`Loaded module: ${name} (${startTime}ms)`)
+        return true
+    }
+
+    /**
+     * Get the start-up status of every module
+     * @returns {Array<Object>} Name, status ('pending', 'starting', 'ready' or 'failed'), error, dependencies and start time
+     */
+    getHealth() {
+        return Array.from(this.health.entries()).map(([name, health]) => ({
+            name,
+            ...health,
+        }))
+    }
+
+    /**
+     * Record the status of a module
+     * @private
+     */
+    _setHealth(name, status, error = null, details = {}) {
+        this.health.set(name, {
+            status,
+            error,
+            dependencies: [],
+            startTime: null,
+            ...details,
+            updatedAt: Date.now(),
+        })
+    }
+
+    /**
+     * Get the module names a module depends on
+     * @private
+     */
+    _getDependencies(moduleInstance) {
+        return [].concat(moduleInstance.dependencies || [])
+    }
+
+    /**
+     * Destroy and remove the module created from a file, and restart the
+     * modules that depend on it (they fail until it is back)
+     * @private
+     * @param {string} modulePath Path to the module file
+     * @returns {Promise<string|null>} Name of the removed module
+     */
+    async _unloadModuleFile(modulePath) {
+        const name = await this._removeModuleFile(modulePath)
+        if (name) await this._restartDependents([name])
+        return name
+    }
+
+    /**
+     * Destroy and remove the module created from a file
+     * @private
+     * @param {string} modulePath Path to the module file
+     * @returns {Promise<string|null>} Name of the removed module
+     */
+    async _removeModuleFile(modulePath) {
+        const name = this.files.get(modulePath)
+        if (!name) return null
+
+        // A module that failed to start has no instance left to destroy
+        const running = this.health.get(name)?.status !== 'failed'
+        this.files.delete(modulePath)
+        this.health.delete(name)
+        if (running) await this._destroy(name)
+        return name
+    }
+
+    /**
+     * Destroy every loaded module, dependents first
+     */
+    async unloadModules() {
+        for (const name of Array.from(this.modules.keys()).reverse()) {
+            await this._destroy(name)
+        }
+        this.files.clear()
+        this.health.clear()
+    }
+
+    /**
+     * Call the destroy() hook of a module and forget it
+     * @private
+     * @param {string} name Module name
+     */
+    async _destroy(name) {
+        const moduleInstance = this.modules.get(name)
+        this.modules.delete(name)
+
+        try {
+            if (typeof moduleInstance?.destroy === 'function') {
+                await moduleInstance.destroy()
+            }
+        } catch (error) {
+            this.logger.error(
+                `Error destroying module ${name}: ${error.message}`
+            )
         }
     }
 
@@ -40,4 +394,21 @@ class ModuleManager {
     }
 }
 
+/**
+ * Reject a promise that does not settle in time
+ * @param {Promise} promise Promise to wait for
+ * @param {number} ms Time limit in ms
+ * @param {string} message Error message on timeout
+ * @returns {Promise} Result of the promise
+ */
+function withTimeout(promise, ms, message) {
+    let timer
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), ms)
+        }),
+    ]).finally(() => clearTimeout(timer))
+}
+
 module.exports = ModuleManager
@@ -26,16 +26,25 @@ const ReactionHandler = require('../handlers/ReactionHandler')
 const ContactManager = require('../utils/ContactManager')
 const GroupManager = require('../utils/GroupManager')
 const QueueManager = require('../utils/QueueManager')
+const LevelingManager = require('../utils/LevelingManager')
+const DatabaseManager = require('../utils/DatabaseManager')
+const GroupSettingsManager = require('../utils/GroupSettingsManager')
+const RoleManager = require('../utils/RoleManager')
+const CooldownManager = require('../utils/CooldownManager')
 const ModuleManager = require('../modules')
+const PluginManager = require('../utils/PluginManager')
 
 class Terra {
     constructor(config) {
         // Set default config values if not provided
         this.config = {
             prefix: '!',
+            mentionPrefix: true,
+            privatePrefixless: false,
             owners: [''],
             statusMessage: 'TerraBot Active',
             sessionPath: './sessions',
+            dataPath: './data',
             logLevel: 'info',
             maxReconnects: 5,
             reconnectInterval: 3000,
@@ -44,6 +53,7 @@ class Terra {
             typingTimeout: 3000,
             connectionTimeout: 60000,
             qrTimeout: 60000,
+            moduleTimeout: 10000,
             usePairing: true,
             privateMode: false,
             debugMessage: false,
@@ -276,12 +286,20 @@ class Terra {
         // Create directories if they don't exist
         this._createDirectories()
 
+        // Initialize data layer
+        this.db = new DatabaseManager(this)
+
         // Initialize utility managers
         this.storeManager = new StoreManager(this)
         this.contactManager = new ContactManager(this)
         this.groupManager = new GroupManager(this)
         this.queueManager = new QueueManager(this)
+        this.levelingManager = new LevelingManager(this)
+        this.groupSettingsManager = new GroupSettingsManager(this)
+        this.roleManager = new RoleManager(this)
+        this.cooldownManager = new CooldownManager(this)
         this.modulesManager = new ModuleManager(this)
+        this.pluginManager = new PluginManager(this)
 
         // Initialize handlers
         this.commandHandler = new CommandHandler(this)
@@ -296,6 +314,9 @@ class Terra {
         // Create sessions directory
         fs.ensureDirSync(this.config.sessionPath)
 
+        // Create data directory
+        fs.ensureDirSync(this.config.dataPath)
+
         // Create temp directory
         fs.ensureDirSync(path.join(process.cwd(), 'temp'))
 
@@ -303,10 +324,12 @@ class Terra {
         fs.ensureDirSync(path.join(process.cwd(), 'commands'))
         fs.ensureDirSync(path.join(process.cwd(), 'events'))
         fs.ensureDirSync(path.join(process.cwd(), 'modules'))
+        fs.ensureDirSync(path.join(process.cwd(), 'plugins'))
     }
 
     _setupShutdownHandlers() {
         // Capture SIGINT and SIGTERM for graceful shutdown
+        // This is the only shutdown hook: stop() also flushes every database collection
         process.once('SIGINT', async () => {
             this.logger.info('Shutting down TerraBot...')
             await this.stop(false) // Don't log out, just disconnect
@@ -330,6 +353,13 @@ class Terra {
             // Initialize store manager
             await this.storeManager.initialize()
 
+            // Initialize leveling data, per-group settings, roles, cooldowns and plugin state
+            await this.levelingManager.initialize()
+            await this.groupSettingsManager.initialize()
+            await this.roleManager.initialize()
+            await this.cooldownManager.initialize()
+            await this.pluginManager.initialize()
+
             // Connect to WhatsApp
             this.logger.info('Connecting to WhatsApp...')
             await this.connect()
@@ -348,6 +378,9 @@ class Terra {
                 await this.commandHandler.loadCommands()
             }
 
+            // Plugins last: they register into the commands, events and modules above
+            await this.pluginManager.loadPlugins()
+
             this.logger.info('TerraBot started successfully')
             return true
         } catch (error) {
@@ -410,8 +443,9 @@ class Terra {
                 // browser: ["IOS", "Safari", "20621.2.3"],
                 browser: ['Linux', 'Chrome', '133.0.6943.137'],
                 // browser: Browsers.ubuntu(),
+                // Baileys wants the message content for retries
                 getMessage: async (key) => {
-                    return this.storeManager.getMessage(key)
+                    return this.storeManager.getMessage(key)?.message
                 },
                 msgRetryCounterCache: this.config.msgRetryCounterCache,
                 retryRequestDelayMs: 2000,
@@ -781,8 +815,12 @@ class Terra {
         try {
             this.logger.info('Stopping TerraBot...')
 
-            // Save any pending data
+            // Let modules release their timers and listeners
+            await this.modulesManager.unloadModules()
+
+            // Save any pending data and release the database connections
             await this.storeManager.saveStore()
+            await this.db.closeAll()
 
             if (this.socket) {
                 if (logout) {
@@ -1184,7 +1222,7 @@ class Terra {
      * @returns {boolean} True if user is owner, false otherwise
      */
     isOwner(userId) {
-        return this.config.owners.includes(userId)
+        return this.roleManager.isOwner(userId)
     }
 
     /**
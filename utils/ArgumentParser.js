@@ -0,0 +1,365 @@
+/**
+ * Argument parsing for commands that declare an `args` and/or `flags` schema
+ *
+ * args:  [{ name, type, required, default, description, choices, min, max, integer }]
+ * flags: { name: { type, default, description, choices, min, max, integer } }
+ *
+ * Types: string, number, jid, url, duration, enum, rest (rest of the text), boolean (on/off, flags may omit the value)
+ */
+
+// Duration units in ms
+const DURATION_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+}
+
+/**
+ * Split text into tokens, keeping quoted strings together
+ * @param {string} text Raw text
+ * @returns {Array<{value: string, start: number, end: number}>} Tokens with their offsets
+ */
+function tokenize(text) {
+    const tokens = []
+    const regex = /"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|(\S+)/g
+    let match
+
+    while ((match = regex.exec(text))) {
+        const quoted = match[1] ?? match[2]
+        tokens.push({
+            value:
+                quoted !== undefined
+                    ? quoted.replace(/\\(.)/g, '$1')
+                    : match[3],
+            start: match.index,
+            end: regex.lastIndex,
+            quoted: quoted !== undefined,
+        })
+    }
+
+    return tokens
+}
+
+/**
+ * Parse a duration like "30s", "5m", "1h30m" or "2d"
+ * @param {string} text Duration text
+ * @returns {number|null} Duration in ms, or null if invalid
+ */
+function parseDuration(text) {
+    const value = String(text || '')
+        .trim()
+        .toLowerCase()
+    if (!/^(\d+(\.\d+)?[smhdw])+$/.test(value)) return null
+
+    let total = 0
+    for (const [, amount, unit] of value.matchAll(
+        /(\d+(?:\.\d+)?)([smhdw])/g
+    )) {
+        total += parseFloat(amount) * DURATION_UNITS[unit]
+    }
+    return Math.round(total)
+}
+
+/**
+ * Format a duration in ms as text like "1h 30m"
+ * @param {number} ms Duration in ms
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+    const parts = []
+    let remaining = Math.max(0, Math.round(ms / 1000)) * 1000
+
+    for (const unit of ['w', 'd', 'h', 'm', 's']) {
+        const amount = Math.floor(remaining / DURATION_UNITS[unit])
+        if (amount > 0) {
+            parts.push(`${amount}${unit}`)
+            remaining -= amount * DURATION_UNITS[unit]
+        }
+    }
+
+    return parts.join(' ') || '0s'
+}
+
+/**
+ * Convert a raw value to the declared type
+ * @private
+ * @returns {{value: *, error: string|null}}
+ */
+function convert(raw, spec, name, options) {
+    const type = spec.type || 'string'
+
+    switch (type) {
+        case 'string':
+        case 'rest':
+            return { value: raw, error: null }
+
+        case 'number': {
+            const value = Number(raw)
+            if (raw === '' || Number.isNaN(value)) {
+                return { error: `*${name}* must be a number.` }
+            }
+            if (spec.integer && !Number.isInteger(value)) {
+                return { error: `*${name}* must be a whole number.` }
+            }
+            if (spec.min !== undefined && value < spec.min) {
+                return { error: `*${name}* must be at least ${spec.min}.` }
+            }
+            if (spec.max !== undefined && value > spec.max) {
+                return { error: `*${name}* must be at most ${spec.max}.` }
+            }
+            return { value, error: null }
+        }
+
+        case 'jid': {
+            const number = raw.replace(/^@/, '').split('@')[0]
+            if (!/^\d{5,20}$/.test(number)) {
+                return { error: `*${name}* must be a mention or phone number.` }
+            }
+
+            // Prefer the real JID from the message mentions when available
+            const mentioned = (options.mentions || []).find(
+                (jid) => jid.split('@')[0] === number
+            )
+            return {
+                value: mentioned || `${number}@s.whatsapp.net`,
+                error: null,
+            }
+        }
+
+        case 'url': {
+            let url = null
+            try {
+                url = new URL(raw)
+            } catch (error) {
+                url = null
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                return { error: `*${name}* must be a valid http(s) URL.` }
+            }
+            return { value: url.href, error: null }
+        }
+
+        case 'duration': {
+            const value = parseDuration(raw)
+            if (!value) {
+                return {
+                    error: `*${name}* must be a duration like 30s, 10m, 2h or 7d.`,
+                }
+            }
+            return { value, error: null }
+        }
+
+        case 'enum': {
+            const choice = (spec.choices || []).find(
+                (c) => c.toLowerCase() === raw.toLowerCase()
+            )
+            if (!choice) {
+                return {
+                    error: `*${name}* must be one of: ${spec.choices.join(', ')}.`,
+                }
+            }
+            return { value: choice, error: null }
+        }
+
+        case 'boolean': {
+            const value = raw.toLowerCase()
+            if (['true', 'yes', 'on', '1'].includes(value)) {
+                return { value: true, error: null }
+            }
+            if (['false', 'no', 'off', '0'].includes(value)) {
+                return { value: false, error: null }
+            }
+            return { error: `*${name}* must be on or off.` }
+        }
+
+        default:
+            return { error: `Unknown argument type: ${type}` }
+    }
+}
+
+/**
+ * Parse text against a command's args/flags schema
+ * @param {object} command Command declaring `args` and/or `flags`
+ * @param {string} text Raw text after the command name
+ * @param {object} options Parse options
+ * @param {string[]} options.mentions JIDs mentioned in the message
+ * @returns {{args: object, error: string|null}} Parsed values or an error message
+ */
+function parseArgs(command, text = '', options = {}) {
+    const specs = command.args || []
+    const flagSpecs = command.flags || {}
+    const tokens = tokenize(text)
+    const result = {}
+    let specIndex = 0
+    let flagsEnded = false
+    let rest = null // Rest argument being collected: spec, text parts and offset
+
+    // Apply defaults first
+    for (const [name, spec] of Object.entries(flagSpecs)) {
+        result[name] = spec.default ?? (spec.type === 'boolean' ? false : null)
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i]
+
+        // "--" stops flag parsing
+        if (!token.quoted && token.value === '--' && !flagsEnded) {
+            flagsEnded = true
+            if (rest) cutRest(rest, token, token)
+            continue
+        }
+
+        // Only declared flags are consumed, anything else stays positional
+        const flagMatch =
+            !flagsEnded &&
+            !token.quoted &&
+            token.value.match(/^--([\w-]+)(?:=([\s\S]*))?$/)
+        const flagName = flagMatch && flagMatch[1]
+        const flagSpec = flagName && flagSpecs[flagName]
+
+        if (flagSpec) {
+            let raw = flagMatch[2]
+            if (raw === undefined) {
+                if (flagSpec.type === 'boolean') {
+                    raw = 'true'
+                } else if (i + 1 < tokens.length) {
+                    raw = tokens[++i].value
+                } else {
+                    return {
+                        args: result,
+                        error: `Flag *--${flagName}* needs a value.`,
+                    }
+                }
+            }
+
+            const { value, error } = convert(
+                raw,
+                flagSpec,
+                `--${flagName}`,
+                options
+            )
+            if (error) return { args: result, error }
+            result[flagName] = value
+
+            // Declared flags are left out of the rest text wherever they are
+            if (rest) cutRest(rest, token, tokens[i])
+            continue
+        }
+
+        if (rest) continue
+
+        // An optional argument that doesn't fit is skipped when more follow
+        // ("!ban @user spamming" leaves out the optional duration)
+        let spec = specs[specIndex]
+        while (
+            spec &&
+            !spec.required &&
+            spec.type !== 'rest' &&
+            specIndex < specs.length - 1 &&
+            convert(token.value, spec, spec.name, options).error
+        ) {
+            result[spec.name] = spec.default ?? null
+            spec = specs[++specIndex]
+        }
+
+        if (!spec) {
+            if (command.allowExtraArgs) continue
+            return {
+                args: result,
+                error: `Unexpected argument *${token.value}*.`,
+            }
+        }
+
+        // A rest argument takes everything that follows, except flags
+        if (spec.type === 'rest') {
+            rest = { spec, text, parts: [], start: token.start }
+            specIndex++
+            continue
+        }
+
+        const { value, error } = convert(token.value, spec, spec.name, options)
+        if (error) return { args: result, error }
+        result[spec.name] = value
+        specIndex++
+    }
+
+    if (rest) {
+        rest.parts.push(text.slice(rest.start))
+        const value = rest.parts
+            .map((part) => part.trim())
+            .filter(Boolean)
+            .join(' ')
+
+        if (value) {
+            result[rest.spec.name] = value
+        } else {
+            specIndex--
+        }
+    }
+
+    // Fill in the arguments that were not given
+    for (const spec of specs.slice(specIndex)) {
+        if (spec.required) {
+            return {
+                args: result,
+                error: `Missing required argument *${spec.name}*.`,
+            }
+        }
+        result[spec.name] = spec.default ?? null
+    }
+
+    return { args: result, error: null }
+}
+
+/**
+ * Leave the tokens from `first` to `last` out of the rest text
+ * @param {object} rest Rest argument being collected
+ * @param {object} first First token to leave out
+ * @param {object} last Last token to leave out
+ */
+function cutRest(rest, first, last) {
+    rest.parts.push(rest.text.slice(rest.start, first.start))
+    rest.start = last.end
+}
+
+/**
+ * Build a usage line from a command's schema
+ * @param {object} command Command declaring `args` and/or `flags`
+ * @param {string} prefix Prefix to show
+ * @param {string} name Invocation name to show (default: command name)
+ * @returns {string} Usage line such as "!ban <user> [duration] [--reason <text>]"
+ */
+function buildUsage(command, prefix = '', name = command.name) {
+    const describe = (spec) => {
+        if (spec.type === 'enum') return spec.choices.join('|')
+        if (spec.type === 'boolean') return null
+        return spec.type && spec.type !== 'string' && spec.type !== 'rest'
+            ? spec.type
+            : 'text'
+    }
+
+    const parts = (command.args || []).map((spec) => {
+        const label =
+            spec.type === 'enum'
+                ? describe(spec)
+                : `${spec.name}${spec.type === 'rest' ? '...' : ''}`
+        return spec.required ? `<${label}>` : `[${label}]`
+    })
+
+    for (const [flag, spec] of Object.entries(command.flags || {})) {
+        const valueLabel = describe(spec)
+        parts.push(valueLabel ? `[--${flag} <${valueLabel}>]` : `[--${flag}]`)
+    }
+
+    return [`${prefix}${name}`, ...parts].join(' ')
+}
+
+module.exports = {
+    tokenize,
+    parseArgs,
+    parseDuration,
+    formatDuration,
+    buildUsage,
+}
@@ -0,0 +1,230 @@
+/**
+ * Transcripts of the stored messages of a chat, as JSON, a standalone
+ * HTML page or WhatsApp-style text
+ */
+
+// Message parts that are not content of their own
+const SKIPPED_TYPES = [
+    'messageContextInfo',
+    'senderKeyDistributionMessage',
+    'protocolMessage',
+    'reactionMessage',
+]
+
+const FORMATS = {
+    json: { extension: 'json', format: toJson },
+    html: { extension: 'html', format: toHtml },
+    txt: { extension: 'txt', format: toText },
+}
+
+/**
+ * Collect the stored messages of a chat with their sender names
+ * @param {object} terra Terra instance
+ * @param {string} chatJid Chat JID
+ * @param {object} options Export options
+ * @param {number} options.since Only messages sent at or after this time (ms)
+ * @returns {Promise<object>} Transcript: chat, export time and messages
+ */
+async function createTranscript(terra, chatJid, options = {}) {
+    const store = terra.storeManager
+    const names = new Map() // Sender JID -> name, looked up once
+
+    const getName = async (jid) => {
+        if (!names.has(jid)) {
+            names.set(jid, await terra.contactManager.getName(jid))
+        }
+        return names.get(jid)
+    }
+
+    const messages = []
+    for (const message of store.getMessages(chatJid, options)) {
+        const type = getType(store, message)
+        if (!type) continue
+
+        const sender = message.key.fromMe
+            ? terra.socket?.user?.id || 'me'
+            : message.key.participant || chatJid
+        const content = store.getContent(message)
+
+        messages.push({
+            id: message.key.id,
+            sender: sender.replace(/:\d+@/, '@'),
+            name: message.key.fromMe
+                ? terra.config.name
+                : await getName(sender),
+            timestamp: store.getTimestamp(message),
+            type,
+            text: store.getText(message),
+            fileName: content.documentMessage?.fileName || null,
+            edited: Boolean(message.editedAt),
+        })
+    }
+
+    let chatName = await getName(chatJid)
+    if (chatJid.endsWith('@g.us')) {
+        const metadata = await terra.groupManager
+            .getGroupMetadata(chatJid)
+            .catch(() => null)
+        chatName = metadata?.subject || chatName
+    }
+
+    return {
+        chat: { jid: chatJid, name: chatName },
+        exportedAt: Date.now(),
+        messages,
+    }
+}
+
+/**
+ * Get what kind of message a stored message is
+ * @param {object} store StoreManager
+ * @param {object} message Stored message
+ * @returns {string|null} 'text', a media type or another message type ('location', 'contact', ...), or null for messages without content
+ */
+function getType(store, message) {
+    const mediaType = store.getMediaType(message)
+    if (mediaType) return mediaType
+    if (store.getText(message)) return 'text'
+
+    const other = Object.keys(store.getContent(message)).find(
+        (key) => !SKIPPED_TYPES.includes(key)
+    )
+    return other ? other.replace(/Message$/, '') : null
+}
+
+/**
+ * Render a transcript in one of the export formats
+ * @param {object} transcript Transcript from createTranscript()
+ * @param {string} format 'json', 'html' or 'txt'
+ * @returns {{buffer: Buffer, filename: string}} File content and name
+ */
+function renderTranscript(transcript, format) {
+    const { extension, format: render } = FORMATS[format]
+    const date = new Date(transcript.exportedAt).toISOString().slice(0, 10)
+    const name = transcript.chat.name
+        .replace(/[^\w-]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 40)
+
+    return {
+        buffer: Buffer.from(render(transcript), 'utf8'),
+        filename: `chat_${name || 'export'}_${date}.${extension}`,
+    }
+}
+
+/**
+ * @param {object} transcript Transcript
+ * @returns {string} JSON document
+ */
+function toJson(transcript) {
+    return JSON.stringify(
+        {
+            ...transcript,
+            exportedAt: new Date(transcript.exportedAt).toISOString(),
+            messages: transcript.messages.map((message) => ({
+                ...message,
+                timestamp: new Date(message.timestamp).toISOString(),
+            })),
+        },
+        null,
+        2
+    )
+}
+
+/**
+ * @param {object} transcript Transcript
+ * @returns {string} Lines as in a WhatsApp chat export
+ */
+function toText(transcript) {
+    return transcript.messages
+        .map((message) => {
+            let text = message.text
+            if (message.type !== 'text') {
+                const placeholder = `<${message.fileName || message.type} omitted>`
+                text = text ? `${placeholder} ${text}` : placeholder
+            }
+            if (message.edited) text += ' <This message was edited>'
+
+            return `${formatDate(message.timestamp)} - ${message.name}: ${text}`
+        })
+        .join('\n')
+}
+
+/**
+ * @param {object} transcript Transcript
+ * @returns {string} HTML page with its own styles
+ */
+function toHtml(transcript) {
+    const rows = transcript.messages
+        .map((message) => {
+            const media =
+                message.type === 'text'
+                    ? ''
+                    : `<div class="media">${escapeHtml(message.fileName || message.type)} omitted</div>`
+            const text = message.text
+                ? `<div class="text">${escapeHtml(message.text)}</div>`
+                : ''
+
+            return `<div class="message">
+<div class="meta"><span class="name">${escapeHtml(message.name)}</span> <span class="time">${formatDate(message.timestamp)}${message.edited ? ' (edited)' : ''}</span></div>
+${media}${text}
+</div>`
+        })
+        .join('\n')
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(transcript.chat.name)}</title>
+<style>
+body { margin: 0; background: #efeae2; font-family: system-ui, sans-serif; font-size: 14px; }
+header { position: sticky; top: 0; padding: 12px 16px; background: #075e54; color: #fff; }
+header small { display: block; opacity: 0.8; }
+main { max-width: 800px; margin: 0 auto; padding: 16px; }
+.message { margin: 6px 0; padding: 6px 10px; border-radius: 8px; background: #fff; box-shadow: 0 1px 1px rgba(0, 0, 0, 0.1); }
+.meta { font-size: 12px; color: #667781; }
+.name { font-weight: bold; color: #075e54; }
+.media { font-style: italic; color: #667781; }
+.text { white-space: pre-wrap; word-wrap: break-word; }
+</style>
+</head>
+<body>
+<header>${escapeHtml(transcript.chat.name)}<small>${transcript.messages.length} messages, exported ${formatDate(transcript.exportedAt)}</small></header>
+<main>
+${rows}
+</main>
+</body>
+</html>
+`
+}
+
+/**
+ * Format a time like WhatsApp exports do ("19/10/2026, 16:40")
+ * @param {number} ms Timestamp in ms
+ * @returns {string} Formatted time
+ */
+function formatDate(ms) {
+    const date = new Date(ms)
+    const pad = (value) => String(value).padStart(2, '0')
+    return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}, ${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+/**
+ * @param {string} text Text
+ * @returns {string} Text safe to put in HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+module.exports = {
+    FORMATS,
+    createTranscript,
+    renderTranscript,
+}
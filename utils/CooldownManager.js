@@ -0,0 +1,86 @@
+// Cooldown scopes: who shares a bucket
+const SCOPES = ['user', 'chat', 'global']
+
+class CooldownManager {
+    constructor(terra) {
+        this.terra = terra
+        this.logger = this.terra.logger.child({ name: 'CooldownManager' })
+        this.db = null
+    }
+
+    /**
+     * Initialize the cooldowns collection
+     */
+    async initialize() {
+        // Buckets expire on their own, no timer per entry
+        this.db = await this.terra.db.collection('cooldowns')
+        return true
+    }
+
+    /**
+     * Check a cooldown bucket and record a use if allowed
+     * @param {string} name Command name (or "command subcommand")
+     * @param {Object} options Cooldown options
+     * @param {number} options.cooldown Window length in seconds
+     * @param {string} options.scope 'user', 'chat' or 'global' (default: 'user')
+     * @param {number} options.uses Uses allowed per window (default: 1)
+     * @param {Object} target Who is using the command
+     * @param {string} target.sender Sender JID
+     * @param {string} target.chatJid Chat JID
+     * @returns {{result: boolean, timeLeft: number}} Whether the use is allowed and seconds left
+     */
+    check(name, options, target) {
+        const window = (options.cooldown || 3) * 1000
+        const uses = Math.max(1, options.uses || 1)
+        const now = Date.now()
+
+        // Owners and premium users skip cooldowns
+        if (this.bypasses(target.sender, target.chatJid)) {
+            return { result: true, timeLeft: 0 }
+        }
+
+        const key = this._key(name, options.scope, target)
+        const hits = (this.db?.get(key) || []).filter(
+            (time) => now - time < window
+        )
+
+        if (hits.length >= uses) {
+            return { result: false, timeLeft: (hits[0] + window - now) / 1000 }
+        }
+
+        hits.push(now)
+        this.db?.set(key, hits, { ttl: window })
+        return { result: true, timeLeft: 0 }
+    }
+
+    /**
+     * Check if a user skips cooldowns
+     * @param {string} jid User JID
+     * @param {string} chatJid Chat JID
+     * @returns {boolean} Whether cooldowns are skipped
+     */
+    bypasses(jid, chatJid) {
+        return this.terra.roleManager.hasRole(jid, 'premium', chatJid)
+    }
+
+    /**
+     * Build the bucket key of a command use
+     * @private
+     */
+    _key(name, scope = 'user', target) {
+        if (!SCOPES.includes(scope)) {
+            this.logger.warn(`Unknown cooldown scope ${scope} for ${name}`)
+            scope = 'user'
+        }
+
+        const id =
+            scope === 'user'
+                ? this.terra.roleManager.normalize(target.sender)
+                : scope === 'chat'
+                  ? target.chatJid
+                  : 'global'
+        return `${name}|${scope}|${id}`
+    }
+}
+
+module.exports = CooldownManager
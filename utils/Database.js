@@ -0,0 +1,544 @@
+const EventEmitter = require('events')
+const JsonStorage = require('./storage/JsonStorage')
+
+// Reserved storage key holding per-key expiry timestamps
+const EXPIRES_KEY = '__expires__'
+
+/**
+ * Database for persistent data storage with auto-save functionality
+ */
+class Database extends EventEmitter {
+    /**
+     * Create a new database instance
+     * @param {Object} options Database options
+     * @param {string} options.name Name of the database (used for logging)
+     * @param {Object} options.storage Storage adapter (see utils/storage)
+     * @param {string} options.filePath Path to a JSON file, used when no storage is given
+     * @param {Object} options.logger Logger instance
+     * @param {number} options.autoSaveInterval Auto-save interval in ms (default: 20000)
+     * @param {string[]} options.indexes Value fields to index for find() (default: none)
+     * @param {number} options.expiryInterval How often expired keys are purged in ms (default: 60000)
+     */
+    constructor(options) {
+        super()
+        this.name = options.name || 'Database'
+        this.storage =
+            options.storage || new JsonStorage({ filePath: options.filePath })
+        this.logger = options.logger || console
+        this.autoSaveInterval = options.autoSaveInterval || 20000
+        this.data = new Map()
+        this.hasChanges = false
+        this.updatedKeys = new Set()
+        this.deletedKeys = new Set()
+        this.autoSaveTimer = null
+        this.expires = new Map() // Key -> expiry timestamp
+        this.expiresChanged = false
+        this.expiryInterval = options.expiryInterval || 60000
+        this.expiryTimer = null
+        this.indexes = new Map() // Field -> Map(value -> Set(keys))
+        this.indexedValues = new Map() // Key -> [field, value] pairs currently indexed
+        this.pendingSave = Promise.resolve(true)
+        this.isLoaded = false
+
+        for (const field of options.indexes || []) {
+            this.indexes.set(field, new Map())
+        }
+    }
+
+    /**
+     * Initialize the database
+     */
+    async initialize() {
+        try {
+            // Prepare storage backend
+            await this.storage.open()
+
+            // Load existing data (never start empty over unreadable data)
+            if (!(await this.load())) return false
+
+            // Start auto-save and expiry timers
+            this.startAutoSave()
+            this.startExpirySweep()
+
+            this.logger.info(
+                `Database ${this.name} initialized with ${this.data.size} records`
+            )
+            return true
+        } catch (error) {
+            this.logger.error(
+                `Error initializing database ${this.name}: ${error}`
+            )
+            return false
+        }
+    }
+
+    /**
+     * Start the auto-save timer
+     */
+    startAutoSave() {
+        if (this.autoSaveTimer) {
+            clearInterval(this.autoSaveTimer)
+        }
+
+        this.autoSaveTimer = setInterval(async () => {
+            if (this.hasChanges) {
+                await this.save()
+            }
+        }, this.autoSaveInterval)
+
+        // Make sure timer doesn't prevent Node from exiting
+        this.autoSaveTimer.unref()
+    }
+
+    /**
+     * Stop the auto-save timer
+     */
+    stopAutoSave() {
+        if (this.autoSaveTimer) {
+            clearInterval(this.autoSaveTimer)
+            this.autoSaveTimer = null
+        }
+    }
+
+    /**
+     * Start the timer that purges expired keys
+     */
+    startExpirySweep() {
+        if (this.expiryTimer) {
+            clearInterval(this.expiryTimer)
+        }
+
+        this.expiryTimer = setInterval(
+            () => this.purgeExpired(),
+            this.expiryInterval
+        )
+        this.expiryTimer.unref()
+    }
+
+    /**
+     * Stop the expiry timer
+     */
+    stopExpirySweep() {
+        if (this.expiryTimer) {
+            clearInterval(this.expiryTimer)
+            this.expiryTimer = null
+        }
+    }
+
+    /**
+     * Load data from storage
+     */
+    async load() {
+        try {
+            const records = await this.storage.load()
+
+            // Convert records to Map
+            this.data.clear()
+            this.expires.clear()
+            for (const [key, value] of records) {
+                if (key === EXPIRES_KEY) {
+                    for (const [k, expiresAt] of Object.entries(value)) {
+                        this.expires.set(k, expiresAt)
+                    }
+                } else {
+                    this.data.set(key, value)
+                }
+            }
+            this._rebuildIndexes()
+
+            this.isLoaded = true
+            this.purgeExpired()
+            this.emit('loaded', this.data.size)
+            if (this.data.size > 0) {
+                this.logger.info(
+                    `Loaded ${this.data.size} records from ${this.name}`
+                )
+            }
+            return true
+        } catch (error) {
+            this.logger.error(`Error loading database ${this.name}: ` + error)
+            return false
+        }
+    }
+
+    /**
+     * Save pending changes to storage
+     * @returns {Promise<boolean>} Success status
+     */
+    async save() {
+        // Queue writes so overlapping saves never race on the storage
+        this.pendingSave = this.pendingSave.then(() => this._write())
+        return this.pendingSave
+    }
+
+    /**
+     * Write pending changes to storage
+     * @private
+     */
+    async _write() {
+        // Take the pending change sets so writes made meanwhile are kept for next save
+        const updated = this.updatedKeys
+        const deleted = this.deletedKeys
+        this.updatedKeys = new Set()
+        this.deletedKeys = new Set()
+        this.hasChanges = false
+
+        // Expiry timestamps are stored as one extra record
+        let data = this.data
+        const expiresChanged = this.expiresChanged
+        this.expiresChanged = false
+        if (this.expires.size > 0) {
+            data = new Map(this.data)
+            data.set(EXPIRES_KEY, Object.fromEntries(this.expires))
+            if (expiresChanged) updated.add(EXPIRES_KEY)
+        } else if (expiresChanged) {
+            deleted.add(EXPIRES_KEY)
+        }
+
+        try {
+            await this.storage.write({
+                data,
+                updated: Array.from(updated),
+                deleted: Array.from(deleted),
+            })
+            this.emit('saved')
+            this.logger.debug(`Saved ${this.data.size} records to ${this.name}`)
+            return true
+        } catch (error) {
+            // Restore pending changes that were not written
+            for (const key of updated) {
+                if (!this.deletedKeys.has(key)) this.updatedKeys.add(key)
+            }
+            for (const key of deleted) {
+                if (!this.updatedKeys.has(key)) this.deletedKeys.add(key)
+            }
+            if (expiresChanged) this.expiresChanged = true
+            this.hasChanges = true
+            this.logger.error(`Error saving database ${this.name}: ${error}`)
+            return false
+        }
+    }
+
+    /**
+     * Stop auto-saving, flush pending changes and release the storage
+     */
+    async close() {
+        this.stopAutoSave()
+        this.stopExpirySweep()
+        if (this.hasChanges) await this.save()
+        await this.storage.close()
+    }
+
+    /**
+     * Get a value from the database
+     * @param {string} key The key
+     * @param {*} defaultValue Default value if key doesn't exist
+     */
+    get(key, defaultValue = null) {
+        this._checkExpiry(key)
+        return this.data.has(key) ? this.data.get(key) : defaultValue
+    }
+
+    /**
+     * Check if key exists in database
+     * @param {string} key The key
+     */
+    has(key) {
+        this._checkExpiry(key)
+        return this.data.has(key)
+    }
+
+    /**
+     * Set a value in the database
+     * @param {string} key The key
+     * @param {*} value The value
+     * @param {Object} options Set options
+     * @param {number} options.ttl Time to live in ms; without it any previous expiry is removed
+     */
+    set(key, value, options = {}) {
+        if (key === EXPIRES_KEY) {
+            throw new Error(`${EXPIRES_KEY} is a reserved key`)
+        }
+
+        if (options.ttl > 0) {
+            this.expires.set(key, Date.now() + options.ttl)
+            this.expiresChanged = true
+        } else if (this.expires.delete(key)) {
+            this.expiresChanged = true
+        }
+
+        this._unindex(key)
+        this.data.set(key, value)
+        this._index(key, value)
+        this.updatedKeys.add(key)
+        this.deletedKeys.delete(key)
+        this.hasChanges = true
+        this.emit('updated', key, value)
+        return value
+    }
+
+    /**
+     * Delete a key from the database
+     * @param {string} key The key
+     */
+    delete(key) {
+        const result = this.data.delete(key)
+        if (this.expires.delete(key)) {
+            this.expiresChanged = true
+            this.hasChanges = true
+        }
+        if (result) {
+            this._unindex(key)
+            this.deletedKeys.add(key)
+            this.updatedKeys.delete(key)
+            this.hasChanges = true
+            this.emit('deleted', key)
+        }
+        return result
+    }
+
+    /**
+     * Set or change the expiry of an existing key
+     * @param {string} key The key
+     * @param {number} ttl Time to live in ms
+     * @returns {boolean} Whether the key exists
+     */
+    expire(key, ttl) {
+        if (!this.has(key)) return false
+        this.expires.set(key, Date.now() + ttl)
+        this.expiresChanged = true
+        this.hasChanges = true
+        return true
+    }
+
+    /**
+     * Get the remaining time to live of a key
+     * @param {string} key The key
+     * @returns {number|null} Remaining ms, or null if the key has no expiry
+     */
+    ttl(key) {
+        if (!this.has(key) || !this.expires.has(key)) return null
+        return Math.max(0, this.expires.get(key) - Date.now())
+    }
+
+    /**
+     * Delete every key whose expiry has passed
+     * @returns {number} Number of purged keys
+     */
+    purgeExpired() {
+        const now = Date.now()
+        let purged = 0
+
+        for (const [key, expiresAt] of this.expires) {
+            if (expiresAt <= now && this._expireKey(key)) purged++
+        }
+
+        if (purged > 0) {
+            this.logger.debug(
+                `Purged ${purged} expired records from ${this.name}`
+            )
+        }
+        return purged
+    }
+
+    /**
+     * Find values matching a predicate or a field query
+     * @param {Function|Object} query Predicate (value, key) or object of field values to match
+     * @param {number} limit Maximum results (default: no limit)
+     * @returns {Array} Matching values
+     */
+    find(query, limit = Infinity) {
+        return this._findEntries(query, limit).map(([, value]) => value)
+    }
+
+    /**
+     * Find the first value matching a predicate or a field query
+     * @param {Function|Object} query Predicate (value, key) or object of field values to match
+     * @returns {*} Matching value or null
+     */
+    findOne(query) {
+        return this._findEntries(query, 1)[0]?.[1] ?? null
+    }
+
+    /**
+     * Find [key, value] pairs matching a predicate or a field query
+     * @param {Function|Object} query Predicate (value, key) or object of field values to match
+     * @param {number} limit Maximum results (default: no limit)
+     * @returns {Array} Matching [key, value] pairs
+     */
+    findEntries(query, limit = Infinity) {
+        return this._findEntries(query, limit)
+    }
+
+    /**
+     * Declare a secondary index on a value field
+     * @param {string} field Field name
+     */
+    createIndex(field) {
+        if (this.indexes.has(field)) return
+        this.indexes.set(field, new Map())
+        for (const [key, value] of this.data) {
+            this._addToIndex(field, key, value)
+        }
+    }
+
+    /**
+     * Get all data as an array of [key, value] pairs
+     */
+    entries() {
+        this.purgeExpired()
+        return Array.from(this.data.entries())
+    }
+
+    /**
+     * Get all values as an array
+     */
+    values() {
+        this.purgeExpired()
+        return Array.from(this.data.values())
+    }
+
+    /**
+     * Get all keys as an array
+     */
+    keys() {
+        this.purgeExpired()
+        return Array.from(this.data.keys())
+    }
+
+    /**
+     * Get number of records in database
+     */
+    get size() {
+        this.purgeExpired()
+        return this.data.size
+    }
+
+    /**
+     * Clear the database
+     */
+    clear() {
+        for (const key of this.data.keys()) {
+            this.deletedKeys.add(key)
+        }
+        this.updatedKeys.clear()
+        this.data.clear()
+        if (this.expires.size > 0) this.expiresChanged = true
+        this.expires.clear()
+        this._rebuildIndexes()
+        this.hasChanges = true
+        this.emit('cleared')
+    }
+
+    /**
+     * Run a find query, using an index when the query matches an indexed field
+     * @private
+     */
+    _findEntries(query, limit) {
+        this.purgeExpired()
+
+        let matches
+        let candidates = this.data.keys()
+
+        if (typeof query === 'function') {
+            matches = query
+        } else {
+            const fields = Object.entries(query || {})
+            matches = (value) =>
+                fields.every(([field, expected]) => value?.[field] === expected)
+
+            // Narrow the scan with the first indexed field
+            const indexed = fields.find(([field]) => this.indexes.has(field))
+            if (indexed) {
+                const [field, expected] = indexed
+                candidates = this.indexes.get(field).get(expected) || []
+            }
+        }
+
+        const results = []
+        for (const key of candidates) {
+            if (results.length >= limit) break
+            const value = this.data.get(key)
+            if (matches(value, key)) results.push([key, value])
+        }
+        return results
+    }
+
+    /**
+     * Purge a key if its expiry has passed
+     * @private
+     * @returns {boolean} Whether the key was purged
+     */
+    _checkExpiry(key) {
+        const expiresAt = this.expires.get(key)
+        return expiresAt !== undefined && expiresAt <= Date.now()
+            ? this._expireKey(key)
+            : false
+    }
+
+    /**
+     * Delete an expired key, emitting both 'expired' and 'deleted'
+     * @private
+     */
+    _expireKey(key) {
+        const value = this.data.get(key)
+        const existed = this.delete(key)
+        if (existed) this.emit('expired', key, value)
+        return existed
+    }
+
+    /**
+     * @private
+     */
+    _index(key, value) {
+        for (const field of this.indexes.keys()) {
+            this._addToIndex(field, key, value)
+        }
+    }
+
+    /**
+     * @private
+     */
+    _addToIndex(field, key, value) {
+        const fieldValue = value?.[field]
+        if (fieldValue === undefined) return
+
+        const index = this.indexes.get(field)
+        if (!index.has(fieldValue)) index.set(fieldValue, new Set())
+        index.get(fieldValue).add(key)
+
+        // Remember what was indexed, values may be mutated in place later
+        if (!this.indexedValues.has(key)) this.indexedValues.set(key, [])
+        this.indexedValues.get(key).push([field, fieldValue])
+    }
+
+    /**
+     * @private
+     */
+    _unindex(key) {
+        for (const [field, fieldValue] of this.indexedValues.get(key) || []) {
+            const index = this.indexes.get(field)
+            const keys = index.get(fieldValue)
+            if (!keys) continue
+
+            keys.delete(key)
+            if (keys.size === 0) index.delete(fieldValue)
+        }
+        this.indexedValues.delete(key)
+    }
+
+    /**
+     * @private
+     */
+    _rebuildIndexes() {
+        for (const index of this.indexes.values()) {
+            index.clear()
+        }
+        this.indexedValues.clear()
+        for (const [key, value] of this.data) {
+            this._index(key, value)
+        }
+    }
+}
+
+module.exports = Database
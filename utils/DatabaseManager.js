@@ -1,238 +1,125 @@
 const fs = require('fs-extra')
 const path = require('path')
-const EventEmitter = require('events')
-
-/**
- * Database for persistent data storage with auto-save functionality
- */
-class Database extends EventEmitter {
-    /**
-     * Create a new database instance
-     * @param {Object} options Database options
-     * @param {string} options.name Name of the database (used for logging)
-     * @param {string} options.filePath Path to the database file
-     * @param {Object} options.logger Logger instance
-     * @param {number} options.autoSaveInterval Auto-save interval in ms (default: 20000)
-     */
-    constructor(options) {
-        super()
-        this.name = options.name || 'Database'
-        this.filePath = options.filePath
-        this.logger = options.logger || console
-        this.autoSaveInterval = options.autoSaveInterval || 20000
-        this.data = new Map()
-        this.hasChanges = false
-        this.autoSaveTimer = null
-        this.isLoaded = false
-
-        // Graceful shutdown: save data on process exit/signals
-        const saveOnExit = async () => {
-            try {
-                if (this.hasChanges) {
-                    await this.save()
-                }
-            } catch (err) {
-                this.logger.error(`Error saving database on exit: ${err}`)
-            }
-        }
-
-        process.on('SIGINT', async () => {
-            await saveOnExit()
-            process.exit(0)
-        })
-        process.on('SIGTERM', async () => {
-            await saveOnExit()
-            process.exit(0)
-        })
-        process.on('exit', async () => {
-            await saveOnExit()
-        })
+const Database = require('./Database')
+const { createStorage } = require('./storage')
+
+class DatabaseManager {
+    constructor(terra) {
+        this.terra = terra
+        this.logger = this.terra.logger.child({ name: 'DatabaseManager' })
+        this.dataPath = path.resolve(this.terra.config.dataPath)
+        this.collections = new Map() // Collection name -> Promise<Database>
     }
 
     /**
-     * Initialize the database
+     * Open (or reuse) a named collection stored under the data directory
+     * @param {string} name Collection name (letters, numbers, - and _)
+     * @param {Object} options Extra Database options
+     * @param {string} options.driver Storage driver overriding config.database.driver
+     * @returns {Promise<Database>} Initialized database instance
      */
-    async initialize() {
-        try {
-            // Ensure directory exists
-            await fs.ensureDir(path.dirname(this.filePath))
-
-            // Load existing data
-            await this.load()
-
-            // Start auto-save timer
-            this.startAutoSave()
-
-            this.logger.info(
-                `Database ${this.name} initialized with ${this.data.size} records`
-            )
-            return true
-        } catch (error) {
-            this.logger.error(
-                `Error initializing database ${this.name}: ${error}`
-            )
-            return false
+    async collection(name, options = {}) {
+        if (!/^[\w-]+$/.test(name || '')) {
+            throw new Error(`Invalid collection name: ${name}`)
         }
-    }
 
-    /**
-     * Start the auto-save timer
-     */
-    startAutoSave() {
-        if (this.autoSaveTimer) {
-            clearInterval(this.autoSaveTimer)
+        // Share the same pending/initialized instance between callers
+        if (!this.collections.has(name)) {
+            this.collections.set(name, this._open(name, options))
         }
 
-        this.autoSaveTimer = setInterval(async () => {
-            if (this.hasChanges) {
-                await this.save()
-                this.hasChanges = false
-            }
-        }, this.autoSaveInterval)
-
-        // Make sure timer doesn't prevent Node from exiting
-        this.autoSaveTimer.unref()
+        return this.collections.get(name)
     }
 
     /**
-     * Stop the auto-save timer
+     * Check if a collection has been opened
+     * @param {string} name Collection name
+     * @returns {boolean} Whether the collection is open
      */
-    stopAutoSave() {
-        if (this.autoSaveTimer) {
-            clearInterval(this.autoSaveTimer)
-            this.autoSaveTimer = null
-        }
+    has(name) {
+        return this.collections.has(name)
     }
 
     /**
-     * Load data from file
+     * Get the names of all opened collections
+     * @returns {string[]} Collection names
      */
-    async load() {
-        try {
-            if (await fs.pathExists(this.filePath)) {
-                const rawData = await fs.readJson(this.filePath)
-
-                // Convert object to Map
-                this.data.clear()
-                for (const [key, value] of Object.entries(rawData)) {
-                    this.data.set(key, value)
-                }
-
-                this.isLoaded = true
-                this.emit('loaded', this.data.size)
-                this.logger.info(
-                    `Loaded ${this.data.size} records from ${this.name}`
-                )
-            } else {
-                this.isLoaded = true
-                this.emit('loaded', 0)
-            }
-            return true
-        } catch (error) {
-            this.logger.error(`Error loading database ${this.name}: ` + error)
-            return false
-        }
+    list() {
+        return Array.from(this.collections.keys())
     }
 
     /**
-     * Save data to file
+     * Save every opened collection with pending changes
+     * @returns {Promise<boolean>} Whether all collections were saved
      */
-    async save() {
-        try {
-            // Convert Map to object for JSON serialization
-            const dataObj = Object.fromEntries(this.data)
-
-            await fs.writeFileSync(
-                this.filePath,
-                JSON.stringify(dataObj, null, 2)
-            )
-            this.emit('saved')
-            this.logger.debug(`Saved ${this.data.size} records to ${this.name}`)
-            return true
-        } catch (error) {
-            this.logger.error(`Error saving database ${this.name}: ${error}`)
-            return false
-        }
-    }
-
-    /**
-     * Get a value from the database
-     * @param {string} key The key
-     * @param {*} defaultValue Default value if key doesn't exist
-     */
-    get(key, defaultValue = null) {
-        return this.data.has(key) ? this.data.get(key) : defaultValue
-    }
+    async saveAll() {
+        let success = true
 
-    /**
-     * Check if key exists in database
-     * @param {string} key The key
-     */
-    has(key) {
-        return this.data.has(key)
-    }
-
-    /**
-     * Set a value in the database
-     * @param {string} key The key
-     * @param {*} value The value
-     */
-    set(key, value) {
-        this.data.set(key, value)
-        this.hasChanges = true
-        this.emit('updated', key, value)
-        return value
-    }
-
-    /**
-     * Delete a key from the database
-     * @param {string} key The key
-     */
-    delete(key) {
-        const result = this.data.delete(key)
-        if (result) {
-            this.hasChanges = true
-            this.emit('deleted', key)
+        for (const [name, pending] of this.collections) {
+            try {
+                const db = await pending
+                if (db.hasChanges && !(await db.save())) success = false
+            } catch (error) {
+                this.logger.error(`Error saving collection ${name}: ${error}`)
+                success = false
+            }
         }
-        return result
-    }
 
-    /**
-     * Get all data as an array of [key, value] pairs
-     */
-    entries() {
-        return Array.from(this.data.entries())
+        return success
     }
 
     /**
-     * Get all values as an array
+     * Save and close every opened collection, releasing their storage
+     * (collections opened afterwards start fresh)
      */
-    values() {
-        return Array.from(this.data.values())
-    }
-
-    /**
-     * Get all keys as an array
-     */
-    keys() {
-        return Array.from(this.data.keys())
+    async closeAll() {
+        for (const [name, pending] of this.collections) {
+            try {
+                await (await pending).close()
+            } catch (error) {
+                this.logger.error(`Error closing collection ${name}: ${error}`)
+            }
+        }
+        this.collections.clear()
     }
 
     /**
-     * Get number of records in database
+     * Create and initialize a collection
+     * @private
+     * @param {string} name Collection name
+     * @param {Object} options Extra Database options
+     * @returns {Promise<Database>} Initialized database instance
      */
-    get size() {
-        return this.data.size
-    }
+    async _open(name, options) {
+        try {
+            await fs.ensureDir(this.dataPath)
+
+            const { driver, autoSaveInterval, ...driverOptions } =
+                this.terra.config.database || {}
+
+            const db = new Database({
+                name,
+                storage: createStorage(options.driver || driver, {
+                    ...driverOptions,
+                    name,
+                    dataPath: this.dataPath,
+                }),
+                logger: this.logger,
+                autoSaveInterval,
+                ...options,
+            })
+
+            if (!(await db.initialize())) {
+                throw new Error(`Failed to open collection ${name}`)
+            }
 
-    /**
-     * Clear the database
-     */
-    clear() {
-        this.data.clear()
-        this.hasChanges = true
-        this.emit('cleared')
+            return db
+        } catch (error) {
+            // Let a later call try again
+            this.collections.delete(name)
+            throw error
+        }
     }
 }
 
-module.exports = Database
+module.exports = DatabaseManager
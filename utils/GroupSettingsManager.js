@@ -0,0 +1,203 @@
+// Per-group settings; null values fall back to the global config
+const DEFAULT_SETTINGS = {
+    prefix: null,
+    language: null,
+    leveling: null,
+    disabledCommands: [],
+    disabledCategories: [],
+    welcome: {
+        enabled: false,
+        message: '👋 Welcome {user} to *{group}*!',
+    },
+    antiLink: false,
+    antiDelete: false,
+    announceEdits: false,
+    nsfw: false,
+    suggestions: null,
+}
+
+// Commands that can never be turned off, so nobody locks themselves out
+const PROTECTED_COMMANDS = ['enable', 'disable', 'groupset']
+
+class GroupSettingsManager {
+    constructor(terra) {
+        this.terra = terra
+        this.logger = this.terra.logger.child({ name: 'GroupSettingsManager' })
+        this.db = null
+        this.globalDb = null
+    }
+
+    /**
+     * Initialize the per-group and bot-wide settings collections
+     */
+    async initialize() {
+        this.db = await this.terra.db.collection('groups')
+        this.globalDb = await this.terra.db.collection('settings')
+        return true
+    }
+
+    /**
+     * Get the effective settings for a chat, merged with the global config
+     * @param {string} chatJid Chat JID
+     * @returns {Object} Resolved settings
+     */
+    get(chatJid) {
+        const overrides = this.getOverrides(chatJid)
+        const config = this.terra.config
+
+        // Prefix may be a single string or a list, in the config or per chat
+        const prefixes = []
+            .concat(overrides.prefix ?? config.prefix)
+            .filter((prefix) => typeof prefix === 'string' && prefix)
+
+        return {
+            ...DEFAULT_SETTINGS,
+            ...overrides,
+            prefix: prefixes[0] || '',
+            prefixes,
+            language: overrides.language ?? config.language ?? 'en',
+            leveling: overrides.leveling ?? !!config.leveling?.enabled,
+            suggestions: overrides.suggestions ?? config.suggestions ?? true,
+            welcome: { ...DEFAULT_SETTINGS.welcome, ...overrides.welcome },
+        }
+    }
+
+    /**
+     * Get only the settings stored for a chat
+     * @param {string} chatJid Chat JID
+     * @returns {Object} Stored overrides
+     */
+    getOverrides(chatJid) {
+        return this.db?.get(chatJid) || {}
+    }
+
+    /**
+     * Update a setting for a chat
+     * @param {string} chatJid Chat JID
+     * @param {string} key Setting name
+     * @param {*} value New value (null restores the global value)
+     * @returns {Object} Resolved settings
+     */
+    set(chatJid, key, value) {
+        if (!(key in DEFAULT_SETTINGS)) {
+            throw new Error(`Unknown group setting: ${key}`)
+        }
+
+        const overrides = { ...this.getOverrides(chatJid), [key]: value }
+        this.db.set(chatJid, overrides)
+        return this.get(chatJid)
+    }
+
+    /**
+     * Reset one setting, or all settings, for a chat
+     * @param {string} chatJid Chat JID
+     * @param {string} key Setting name (optional)
+     */
+    reset(chatJid, key = null) {
+        if (!key) {
+            this.db.delete(chatJid)
+            return this.get(chatJid)
+        }
+
+        const { [key]: removed, ...overrides } = this.getOverrides(chatJid)
+        if (Object.keys(overrides).length) {
+            this.db.set(chatJid, overrides)
+        } else {
+            this.db.delete(chatJid)
+        }
+        return this.get(chatJid)
+    }
+
+    /**
+     * Get the bot-wide disabled commands and categories
+     * @returns {{commands: string[], categories: string[]}} Disabled lists
+     */
+    getGlobalDisabled() {
+        return {
+            commands: [],
+            categories: [],
+            ...this.globalDb?.get('disabled'),
+        }
+    }
+
+    /**
+     * Check whether a command is turned off in a chat
+     * @param {object} command Command object
+     * @param {string} chatJid Chat JID
+     * @returns {{scope: string, type: string}|null} Where ('global' or 'chat') and how ('command' or 'category') it is disabled, or null
+     */
+    getDisabled(command, chatJid) {
+        if (this.isProtected(command.name)) return null
+
+        const global = this.getGlobalDisabled()
+        const settings = this.get(chatJid)
+
+        if (global.categories.includes(command.category)) {
+            return { scope: 'global', type: 'category' }
+        }
+        if (global.commands.includes(command.name)) {
+            return { scope: 'global', type: 'command' }
+        }
+        if (settings.disabledCategories.includes(command.category)) {
+            return { scope: 'chat', type: 'category' }
+        }
+        if (settings.disabledCommands.includes(command.name)) {
+            return { scope: 'chat', type: 'command' }
+        }
+        return null
+    }
+
+    /**
+     * Check if a command can never be disabled
+     * @param {string} name Command name or alias
+     * @returns {boolean} Whether the command is protected
+     */
+    isProtected(name) {
+        const command = this.terra.commandHandler.getCommand(name)
+        return PROTECTED_COMMANDS.includes(command?.name)
+    }
+
+    /**
+     * Add or remove a command or category from a chat's disabled lists,
+     * or from the bot-wide ones when chatJid is null
+     * @param {string|null} chatJid Chat JID (null for every chat)
+     * @param {string} name Command or category name
+     * @param {boolean} disabled Whether it should be disabled
+     * @returns {string|null} 'command' or 'category', or null if unknown
+     */
+    setDisabled(chatJid, name, disabled) {
+        const handler = this.terra.commandHandler
+        const command = handler.getCommand(name)
+        const type = command
+            ? 'command'
+            : handler.categories.has(name.toLowerCase())
+              ? 'category'
+              : null
+        if (!type) return null
+
+        const value = type === 'command' ? command.name : name.toLowerCase()
+
+        if (!chatJid) {
+            const global = this.getGlobalDisabled()
+            const key = type === 'command' ? 'commands' : 'categories'
+            const list = new Set(global[key])
+
+            disabled ? list.add(value) : list.delete(value)
+            this.globalDb.set('disabled', {
+                ...global,
+                [key]: Array.from(list),
+            })
+            return type
+        }
+
+        const key =
+            type === 'command' ? 'disabledCommands' : 'disabledCategories'
+        const list = new Set(this.get(chatJid)[key])
+
+        disabled ? list.add(value) : list.delete(value)
+        this.set(chatJid, key, Array.from(list))
+        return type
+    }
+}
+
+module.exports = GroupSettingsManager
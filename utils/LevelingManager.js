@@ -0,0 +1,239 @@
+// Defaults used when config.leveling leaves a value out
+const DEFAULT_OPTIONS = {
+    enabled: false,
+    levelUpMessages: false,
+    minXp: 15,
+    maxXp: 25,
+    cooldown: 60, // Seconds between XP awards for the same user in a group
+}
+
+class LevelingManager {
+    constructor(terra) {
+        this.terra = terra
+        this.logger = this.terra.logger.child({ name: 'LevelingManager' })
+        this.db = null
+    }
+
+    /**
+     * Current leveling options merged with defaults
+     * @returns {Object} Leveling options
+     */
+    get options() {
+        return { ...DEFAULT_OPTIONS, ...(this.terra.config.leveling || {}) }
+    }
+
+    /**
+     * Check if leveling is enabled in a chat (group settings override the config)
+     * @param {string} chatJid Chat JID
+     * @returns {boolean} Whether leveling is enabled
+     */
+    isEnabled(chatJid) {
+        return !!this.terra.groupSettingsManager.get(chatJid).leveling
+    }
+
+    /**
+     * Initialize the leveling database
+     */
+    async initialize() {
+        this.db = await this.terra.db.collection('leveling', {
+            indexes: ['group'],
+        })
+        return true
+    }
+
+    /**
+     * XP required to advance from a level to the next one
+     * @param {number} level Current level
+     * @returns {number} XP needed for the next level
+     */
+    getRequiredXp(level) {
+        return 5 * level * level + 50 * level + 100
+    }
+
+    /**
+     * Calculate level and progress from total XP
+     * @param {number} xp Total XP
+     * @returns {Object} Level, XP into the level and XP needed for the next one
+     */
+    getLevelFromXp(xp) {
+        let level = 0
+        let remaining = xp
+
+        while (remaining >= this.getRequiredXp(level)) {
+            remaining -= this.getRequiredXp(level)
+            level++
+        }
+
+        return {
+            level,
+            current: remaining,
+            required: this.getRequiredXp(level),
+        }
+    }
+
+    /**
+     * Award XP for an incoming group message
+     * @param {Object} msg WhatsApp message
+     * @returns {Promise<Object|null>} Updated stats, or null if no XP was awarded
+     */
+    async handleMessage(msg) {
+        try {
+            const options = this.options
+            if (msg.key.fromMe) return null
+
+            const groupJid = msg.key.remoteJid
+            if (!groupJid?.endsWith('@g.us') || !this.isEnabled(groupJid)) {
+                return null
+            }
+
+            const userJid = msg.key.participant
+            if (!userJid) return null
+
+            // Anti-spam: only award XP once per cooldown window
+            const record = this._getRecord(groupJid, userJid)
+            const now = Date.now()
+            record.messages++
+
+            if (now - record.lastXpAt < options.cooldown * 1000) {
+                this.db.set(this._getKey(groupJid, userJid), record)
+                return null
+            }
+
+            const amount =
+                options.minXp +
+                Math.floor(Math.random() * (options.maxXp - options.minXp + 1))
+            const result = this._addXp(record, amount)
+            record.lastXpAt = now
+            this.db.set(this._getKey(groupJid, userJid), record)
+
+            if (result.leveledUp && options.levelUpMessages) {
+                await this._announceLevelUp(msg, userJid, result.level)
+            }
+
+            return result
+        } catch (error) {
+            this.logger.error(`Error awarding XP: ${error.message}`)
+            return null
+        }
+    }
+
+    /**
+     * Add XP to a user manually
+     * @param {string} groupJid Group JID
+     * @param {string} userJid User JID
+     * @param {number} amount XP to add
+     * @returns {Object} Updated stats
+     */
+    addXp(groupJid, userJid, amount) {
+        const record = this._getRecord(groupJid, userJid)
+        const result = this._addXp(record, amount)
+        this.db.set(this._getKey(groupJid, userJid), record)
+        return result
+    }
+
+    /**
+     * Get leveling stats for a user in a group
+     * @param {string} groupJid Group JID
+     * @param {string} userJid User JID
+     * @returns {Object} Stats including rank and level progress
+     */
+    getStats(groupJid, userJid) {
+        const record = this._getRecord(groupJid, userJid)
+        const ranking = this.getLeaderboard(groupJid, Infinity)
+        const position = ranking.findIndex((entry) => entry.jid === userJid)
+
+        return {
+            ...record,
+            ...this.getLevelFromXp(record.xp),
+            rank: position === -1 ? null : position + 1,
+            total: ranking.length,
+        }
+    }
+
+    /**
+     * Get the users with the most XP in a group
+     * @param {string} groupJid Group JID
+     * @param {number} limit Maximum entries to return (default: 10)
+     * @returns {Array} Records sorted by XP, highest first
+     */
+    getLeaderboard(groupJid, limit = 10) {
+        return this.db
+            .find({ group: groupJid })
+            .filter((record) => record.xp > 0)
+            .sort((a, b) => b.xp - a.xp)
+            .slice(0, limit)
+    }
+
+    /**
+     * Reset leveling data for a group
+     * @param {string} groupJid Group JID
+     * @returns {number} Number of records removed
+     */
+    resetGroup(groupJid) {
+        let removed = 0
+        for (const [key] of this.db.findEntries({ group: groupJid })) {
+            if (this.db.delete(key)) removed++
+        }
+        return removed
+    }
+
+    /**
+     * Add XP to a record and update its level
+     * @private
+     */
+    _addXp(record, amount) {
+        const previousLevel = record.level
+        record.xp = Math.max(0, record.xp + amount)
+        record.level = this.getLevelFromXp(record.xp).level
+
+        return {
+            xp: record.xp,
+            level: record.level,
+            gained: amount,
+            leveledUp: record.level > previousLevel,
+        }
+    }
+
+    /**
+     * Get a copy of a stored record, or a fresh one
+     * @private
+     */
+    _getRecord(groupJid, userJid) {
+        const stored = this.db.get(this._getKey(groupJid, userJid))
+        return {
+            jid: userJid,
+            group: groupJid,
+            xp: 0,
+            level: 0,
+            messages: 0,
+            lastXpAt: 0,
+            ...stored,
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getKey(groupJid, userJid) {
+        return `${groupJid}_${userJid}`
+    }
+
+    /**
+     * Send a level-up announcement to the group
+     * @private
+     */
+    async _announceLevelUp(msg, userJid, level) {
+        try {
+            await this.terra.reply(msg, {
+                text: `🎉 Congratulations @${userJid.split('@')[0]}, you reached *level ${level}*!`,
+                mentions: [userJid],
+            })
+        } catch (error) {
+            this.logger.error(
+                `Error sending level-up message: ${error.message}`
+            )
+        }
+    }
+}
+
+module.exports = LevelingManager
@@ -0,0 +1,396 @@
+const fs = require('fs-extra')
+const path = require('path')
+
+// File in each plugin folder describing it
+const MANIFEST_FILE = 'plugin.json'
+
+class PluginManager {
+    constructor(terra) {
+        this.terra = terra
+        this.logger = this.terra.logger.child({ name: 'PluginManager' })
+        this.db = null
+        this.plugins = new Map()
+        this.pluginsDir = path.join(process.cwd(), 'plugins')
+    }
+
+    /**
+     * Initialize the plugin state collection
+     */
+    async initialize() {
+        this.db = await this.terra.db.collection('plugins')
+        return true
+    }
+
+    /**
+     * Discover plugins and load the enabled ones
+     * @returns {Promise<number>} Number of plugins loaded
+     */
+    async loadPlugins() {
+        try {
+            for (const plugin of this.plugins.values()) {
+                await this._unload(plugin)
+            }
+            this.plugins.clear()
+
+            await fs.ensureDir(this.pluginsDir)
+            for (const item of await fs.readdir(this.pluginsDir)) {
+                const plugin = this._readPlugin(
+                    path.join(this.pluginsDir, item)
+                )
+                if (plugin) this.plugins.set(plugin.name, plugin)
+            }
+
+            // Load in passes so plugins come after the plugins they depend on
+            let pending = Array.from(this.plugins.values()).filter(
+                (plugin) => !plugin.error && this._getState(plugin).enabled
+            )
+            while (pending.length) {
+                const ready = pending.filter(
+                    (plugin) => !this._getMissingDependencies(plugin).length
+                )
+                if (!ready.length) break
+
+                for (const plugin of ready) {
+                    await this._load(plugin).catch((error) => {
+                        plugin.error = error.message
+                    })
+                }
+                pending = pending.filter((plugin) => !ready.includes(plugin))
+            }
+
+            for (const plugin of pending) {
+                plugin.error = `Missing dependencies: ${this._getMissingDependencies(plugin).join(', ')}`
+            }
+            for (const plugin of this.plugins.values()) {
+                if (plugin.error) {
+                    this.logger.warn(
+                        `Plugin ${plugin.name} not loaded: ${plugin.error}`
+                    )
+                }
+            }
+
+            const loaded = this.list().filter((plugin) => plugin.loaded).length
+            this.logger.info(`Loaded ${loaded} of ${this.plugins.size} plugins`)
+            return loaded
+        } catch (error) {
+            this.logger.error(`Error loading plugins: ${error.message}`)
+            return 0
+        }
+    }
+
+    /**
+     * Enable a plugin and load it now
+     * @param {string} name Plugin name
+     * @returns {Promise<Object>} Plugin
+     */
+    async enable(name) {
+        const plugin = this._require(name)
+        if (plugin.loaded) return plugin
+
+        // Pick up changes made to the plugin since it was discovered
+        const fresh = this._readPlugin(plugin.dir)
+        if (!fresh) throw new Error(`Plugin ${name} no longer exists`)
+        this.plugins.delete(plugin.name)
+        this.plugins.set(fresh.name, fresh)
+        if (fresh.error) throw new Error(fresh.error)
+
+        const missing = this._getMissingDependencies(fresh)
+        if (missing.length) {
+            throw new Error(`Missing dependencies: ${missing.join(', ')}`)
+        }
+
+        await this._load(fresh)
+        this._setState(fresh, { enabled: true })
+        return fresh
+    }
+
+    /**
+     * Disable a plugin and unload it now
+     * @param {string} name Plugin name
+     * @returns {Promise<Object>} Plugin
+     */
+    async disable(name) {
+        const plugin = this._require(name)
+
+        const dependents = this.list().filter(
+            (other) =>
+                other.loaded &&
+                other.name !== plugin.name &&
+                other.dependencies.some((dep) =>
+                    [plugin.name, plugin.module].includes(dep)
+                )
+        )
+        if (dependents.length) {
+            throw new Error(
+                `Needed by ${dependents.map((other) => other.name).join(', ')}`
+            )
+        }
+
+        await this._unload(plugin)
+        this._setState(plugin, { enabled: false })
+        return plugin
+    }
+
+    /**
+     * Get a plugin by name
+     * @param {string} name Plugin name
+     * @returns {Object|null} Plugin
+     */
+    get(name) {
+        return this.plugins.get(String(name).toLowerCase()) || null
+    }
+
+    /**
+     * List every discovered plugin
+     * @returns {Array<Object>} Plugins with their state
+     */
+    list() {
+        return Array.from(this.plugins.values()).map((plugin) => ({
+            name: plugin.name,
+            version: plugin.version,
+            description: plugin.description,
+            dependencies: plugin.dependencies,
+            enabled: this._getState(plugin).enabled,
+            loaded: plugin.loaded,
+            error: plugin.error,
+            commands: plugin.commands.length,
+            events: plugin.events.length,
+            module: plugin.module,
+        }))
+    }
+
+    /**
+     * Read a plugin folder and its manifest
+     * @private
+     * @param {string} dir Plugin folder
+     * @returns {Object|null} Plugin, or null if the folder is not a plugin
+     */
+    _readPlugin(dir) {
+        const manifestPath = path.join(dir, MANIFEST_FILE)
+        if (!fs.existsSync(manifestPath)) return null
+
+        const plugin = {
+            name: path.basename(dir).toLowerCase(),
+            version: '0.0.0',
+            description: '',
+            dependencies: [],
+            dir,
+            manifest: {},
+            loaded: false,
+            error: null,
+            commands: [],
+            events: [],
+            module: null,
+        }
+
+        try {
+            const manifest = fs.readJsonSync(manifestPath)
+            Object.assign(plugin, {
+                name: String(manifest.name || plugin.name).toLowerCase(),
+                version: manifest.version || plugin.version,
+                description: manifest.description || '',
+                dependencies: [].concat(manifest.dependencies || []),
+                manifest,
+            })
+        } catch (error) {
+            plugin.error = `Invalid ${MANIFEST_FILE}: ${error.message}`
+            return plugin
+        }
+
+        // Required config keys, in dot notation ("weather.apiKey")
+        const missingConfig = []
+            .concat(plugin.manifest.config || [])
+            .filter(
+                (key) =>
+                    key
+                        .split('.')
+                        .reduce(
+                            (value, part) => value?.[part],
+                            this.terra.config
+                        ) === undefined
+            )
+        if (missingConfig.length) {
+            plugin.error = `Missing config: ${missingConfig.join(', ')}`
+        }
+
+        return plugin
+    }
+
+    /**
+     * Register the commands, events and module of a plugin
+     * @private
+     * @param {Object} plugin Plugin
+     */
+    async _load(plugin) {
+        const state = this._getState(plugin)
+        const modulePath = path.join(
+            plugin.dir,
+            plugin.manifest.module || 'index.js'
+        )
+
+        // Install: first load, or first load of a new version
+        if (state.version !== plugin.version) {
+            if (fs.existsSync(modulePath)) {
+                delete require.cache[require.resolve(modulePath)]
+                const ModuleClass = require(modulePath)
+                if (typeof ModuleClass?.install === 'function') {
+                    await ModuleClass.install(this.terra, state.version)
+                }
+            }
+            this._setState(plugin, { version: plugin.version })
+            this.logger.info(
+                `Installed plugin ${plugin.name} ${plugin.version}`
+            )
+        }
+
+        try {
+            // The module first, so commands and events can use it
+            if (fs.existsSync(modulePath)) {
+                if (
+                    !(await this.terra.modulesManager._loadModuleFile(
+                        modulePath
+                    ))
+                ) {
+                    // Never retried while the plugin is not loaded
+                    await this.terra.modulesManager._unloadModuleFile(
+                        modulePath
+                    )
+                    throw new Error('Module failed to load, check the logs')
+                }
+                plugin.module = this.terra.modulesManager.files.get(modulePath)
+            }
+
+            const defaultCategory = plugin.manifest.category || plugin.name
+            for (const filePath of this._listFiles(
+                path.join(plugin.dir, 'commands')
+            )) {
+                const folder = path.dirname(filePath)
+                const category =
+                    folder === path.join(plugin.dir, 'commands')
+                        ? defaultCategory
+                        : path.basename(folder).toLowerCase()
+                if (
+                    await this.terra.commandHandler._loadCommandFile(
+                        filePath,
+                        category
+                    )
+                ) {
+                    plugin.commands.push(filePath)
+                }
+            }
+
+            for (const filePath of this._listFiles(
+                path.join(plugin.dir, 'events')
+            )) {
+                if (this.terra.eventHandler._loadEventFile(filePath)) {
+                    plugin.events.push(filePath)
+                }
+            }
+        } catch (error) {
+            await this._unload(plugin)
+            throw error
+        }
+
+        plugin.loaded = true
+        plugin.error = null
+        this.logger.info(
+            `Loaded plugin ${plugin.name} ${plugin.version} (${plugin.commands.length} commands, ${plugin.events.length} events${plugin.module ? `, module ${plugin.module}` : ''})`
+        )
+    }
+
+    /**
+     * Remove everything a plugin registered
+     * @private
+     * @param {Object} plugin Plugin
+     */
+    async _unload(plugin) {
+        for (const filePath of plugin.commands) {
+            this.terra.commandHandler._unloadCommandFile(filePath)
+            delete require.cache[filePath]
+        }
+        for (const filePath of plugin.events) {
+            this.terra.eventHandler._unloadEventFile(filePath)
+            delete require.cache[filePath]
+        }
+        if (plugin.module) {
+            const modulePath = path.join(
+                plugin.dir,
+                plugin.manifest.module || 'index.js'
+            )
+            await this.terra.modulesManager._unloadModuleFile(modulePath)
+            delete require.cache[modulePath]
+        }
+
+        if (plugin.loaded) this.logger.info(`Unloaded plugin ${plugin.name}`)
+        Object.assign(plugin, {
+            loaded: false,
+            commands: [],
+            events: [],
+            module: null,
+        })
+    }
+
+    /**
+     * Get the dependencies of a plugin that are not available
+     * @private
+     * @param {Object} plugin Plugin
+     * @returns {string[]} Missing module or plugin names
+     */
+    _getMissingDependencies(plugin) {
+        return plugin.dependencies.filter(
+            (dep) =>
+                !this.terra.modulesManager.has(dep) && !this.get(dep)?.loaded
+        )
+    }
+
+    /**
+     * List the .js files of a folder and its subfolders
+     * @private
+     * @param {string} dir Folder
+     * @returns {string[]} File paths
+     */
+    _listFiles(dir) {
+        if (!fs.existsSync(dir)) return []
+
+        return fs.readdirSync(dir).flatMap((item) => {
+            const itemPath = path.join(dir, item)
+            if (fs.statSync(itemPath).isDirectory()) {
+                return this._listFiles(itemPath)
+            }
+            return item.endsWith('.js') ? [itemPath] : []
+        })
+    }
+
+    /**
+     * Throw unless a plugin exists
+     * @private
+     */
+    _require(name) {
+        const plugin = this.get(name)
+        if (!plugin) throw new Error(`No plugin named ${name}`)
+        return plugin
+    }
+
+    /**
+     * Get the stored state of a plugin (new plugins start enabled unless
+     * their manifest says otherwise)
+     * @private
+     */
+    _getState(plugin) {
+        return {
+            enabled: plugin.manifest.enabled !== false,
+            version: null,
+            ...this.db?.get(plugin.name),
+        }
+    }
+
+    /**
+     * Update the stored state of a plugin
+     * @private
+     */
+    _setState(plugin, changes) {
+        this.db?.set(plugin.name, { ...this._getState(plugin), ...changes })
+    }
+}
+
+module.exports = PluginManager
@@ -0,0 +1,252 @@
+// Role levels, higher roles include everything below them
+const ROLE_LEVELS = {
+    premium: 1,
+    moderator: 2,
+    sudo: 3,
+    owner: 4,
+}
+
+// Roles that can be stored in the database (owners come from config.owners)
+const GRANTABLE_ROLES = ['sudo', 'moderator', 'premium', 'banned']
+
+class RoleManager {
+    constructor(terra) {
+        this.terra = terra
+        this.logger = this.terra.logger.child({ name: 'RoleManager' })
+        this.db = null
+        this.grantableRoles = GRANTABLE_ROLES
+    }
+
+    /**
+     * Initialize the roles collection
+     */
+    async initialize() {
+        this.db = await this.terra.db.collection('roles', {
+            indexes: ['jid', 'role'],
+        })
+        return true
+    }
+
+    /**
+     * Reduce a JID or phone number to its bare number
+     * ("6281234:12@s.whatsapp.net" -> "6281234")
+     * @param {string} jid JID or phone number
+     * @returns {string} Bare number
+     */
+    normalize(jid) {
+        return String(jid || '')
+            .split('@')[0]
+            .split(':')[0]
+            .replace(/\D/g, '')
+    }
+
+    /**
+     * Get the level of a role
+     * @param {string} role Role name
+     * @returns {number} Role level (0 for unknown roles and banned)
+     */
+    getRoleLevel(role) {
+        return ROLE_LEVELS[role] || 0
+    }
+
+    /**
+     * Check if a user is listed in config.owners
+     * @param {string} jid JID of the user
+     * @returns {boolean} Whether the user is an owner
+     */
+    isOwner(jid) {
+        const number = this.normalize(jid)
+        if (!number) return false
+
+        return (this.terra.config.owners || []).some(
+            (owner) => this.normalize(owner) === number
+        )
+    }
+
+    /**
+     * Grant a role to a user, globally or in one group
+     * @param {string} jid JID of the user
+     * @param {string} role Role name
+     * @param {Object} options Grant options
+     * @param {string} options.group Group JID (omit for a global grant)
+     * @param {number} options.ttl Expiry in ms (omit for a permanent grant)
+     * @param {string} options.reason Reason shown in listings
+     * @param {string} options.by JID of the user granting the role
+     * @returns {Object} Stored grant
+     */
+    grant(jid, role, options = {}) {
+        if (!GRANTABLE_ROLES.includes(role)) {
+            throw new Error(`Unknown role: ${role}`)
+        }
+
+        const record = {
+            jid: this.normalize(jid),
+            role,
+            group: options.group || null,
+            reason: options.reason || null,
+            grantedBy: options.by ? this.normalize(options.by) : null,
+            grantedAt: Date.now(),
+        }
+
+        this.db.set(this._key(record.jid, role, record.group), record, {
+            ttl: options.ttl,
+        })
+        return record
+    }
+
+    /**
+     * Remove a role from a user
+     * @param {string} jid JID of the user
+     * @param {string} role Role name
+     * @param {string} group Group JID (omit for the global grant)
+     * @returns {boolean} Whether the user had the role
+     */
+    revoke(jid, role, group = null) {
+        return this.db.delete(this._key(this.normalize(jid), role, group))
+    }
+
+    /**
+     * Get the grants that apply to a user in a chat (global and group)
+     * @param {string} jid JID of the user
+     * @param {string} chatJid Chat JID (optional)
+     * @returns {Array<Object>} Grants with their expiry
+     */
+    getGrants(jid, chatJid = null) {
+        const number = this.normalize(jid)
+        if (!number || !this.db) return []
+
+        return this.db
+            .findEntries({ jid: number })
+            .filter(([, grant]) => !grant.group || grant.group === chatJid)
+            .map(([key, grant]) => this._withExpiry(key, grant))
+    }
+
+    /**
+     * Get the permission level of a user in a chat
+     * @param {string} jid JID of the user
+     * @param {string} chatJid Chat JID (optional)
+     * @returns {number} Role level (0 for regular users)
+     */
+    getLevel(jid, chatJid = null) {
+        if (this.isOwner(jid)) return ROLE_LEVELS.owner
+
+        return this.getGrants(jid, chatJid).reduce(
+            (level, grant) => Math.max(level, ROLE_LEVELS[grant.role] || 0),
+            0
+        )
+    }
+
+    /**
+     * Get the highest role of a user in a chat
+     * @param {string} jid JID of the user
+     * @param {string} chatJid Chat JID (optional)
+     * @returns {string|null} Role name, or null for regular users
+     */
+    getRole(jid, chatJid = null) {
+        const level = this.getLevel(jid, chatJid)
+        return (
+            Object.keys(ROLE_LEVELS).find(
+                (role) => ROLE_LEVELS[role] === level
+            ) || null
+        )
+    }
+
+    /**
+     * Check if a user has a role (or a higher one) in a chat
+     * @param {string} jid JID of the user
+     * @param {string} role Role name
+     * @param {string} chatJid Chat JID (optional)
+     * @returns {boolean} Whether the user has the role
+     */
+    hasRole(jid, role, chatJid = null) {
+        if (role === 'banned') return this.isBanned(jid, chatJid)
+        if (!(role in ROLE_LEVELS)) return false
+
+        return this.getLevel(jid, chatJid) >= ROLE_LEVELS[role]
+    }
+
+    /**
+     * Check if a user is banned in a chat (owners can never be banned)
+     * @param {string} jid JID of the user
+     * @param {string} chatJid Chat JID (optional)
+     * @returns {boolean} Whether the user is banned
+     */
+    isBanned(jid, chatJid = null) {
+        return this.getBan(jid, chatJid) !== null
+    }
+
+    /**
+     * Get the ban that applies to a user in a chat, global bans first
+     * @param {string} jid JID of the user
+     * @param {string} chatJid Chat JID (optional)
+     * @returns {Object|null} Ban grant with its expiry, or null
+     */
+    getBan(jid, chatJid = null) {
+        if (this.isOwner(jid)) return null
+
+        const bans = this.getGrants(jid, chatJid).filter(
+            (grant) => grant.role === 'banned'
+        )
+        return bans.find((ban) => !ban.group) || bans[0] || null
+    }
+
+    /**
+     * Check if a user may moderate another one (ban them, change their roles)
+     * @param {string} actorJid JID of the acting user
+     * @param {string} targetJid JID of the target user
+     * @param {string} group Group JID of the action (null for global)
+     * @param {boolean} isGroupAdmin Whether the actor is an admin of that group
+     * @returns {boolean} Whether the actor outranks the target
+     */
+    canModerate(actorJid, targetJid, group = null, isGroupAdmin = false) {
+        if (this.normalize(actorJid) === this.normalize(targetJid)) return false
+
+        // Group admins count as moderators in their own group
+        const actorLevel = Math.max(
+            this.getLevel(actorJid, group),
+            group && isGroupAdmin ? ROLE_LEVELS.moderator : 0
+        )
+        return (
+            actorLevel >= ROLE_LEVELS.moderator &&
+            actorLevel > this.getLevel(targetJid, group)
+        )
+    }
+
+    /**
+     * List grants, optionally filtered by role and group
+     * @param {Object} filter Filter options
+     * @param {string} filter.role Role name
+     * @param {string} filter.group Group JID (null for global grants only)
+     * @returns {Array<Object>} Grants with their expiry
+     */
+    list(filter = {}) {
+        if (!this.db) return []
+
+        return this.db
+            .findEntries(
+                (grant) =>
+                    (!filter.role || grant.role === filter.role) &&
+                    (filter.group === undefined || grant.group === filter.group)
+            )
+            .map(([key, grant]) => this._withExpiry(key, grant))
+    }
+
+    /**
+     * Build the storage key of a grant
+     * @private
+     */
+    _key(number, role, group) {
+        return `${group || 'global'}_${role}_${number}`
+    }
+
+    /**
+     * Attach the expiry time to a grant
+     * @private
+     */
+    _withExpiry(key, grant) {
+        const ttl = this.db.ttl(key)
+        return { ...grant, expiresAt: ttl === null ? null : Date.now() + ttl }
+    }
+}
+
+module.exports = RoleManager
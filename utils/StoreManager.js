@@ -1,13 +1,52 @@
-const { proto } = require('@fizzxydev/baileys-pro')
+const { proto, BufferJSON } = require('@fizzxydev/baileys-pro')
 const fs = require('fs-extra')
 const path = require('path')
 
+// Defaults used when config.store leaves a value out
+const DEFAULT_OPTIONS = {
+    maxMessages: 5000, // Per chat, oldest dropped first (0: no limit)
+    maxAgeDays: 30, // Messages older than this are dropped (0: keep forever)
+}
+
+const DAY = 24 * 60 * 60 * 1000
+const SAVE_EVERY = 50 // Messages between index saves
+const RECENT_LIMIT = 200 // Parsed messages kept in memory for repeated lookups
+const COMPACT_MIN_BYTES = 64 * 1024 // Don't rewrite logs for a few dead lines
+const SEARCH_BATCH = 100 // Search candidates read from disk at a time
+
+// Containers holding the actual message content
+const WRAPPERS = [
+    'ephemeralMessage',
+    'viewOnceMessage',
+    'viewOnceMessageV2',
+    'viewOnceMessageV2Extension',
+    'documentWithCaptionMessage',
+    'editedMessage',
+]
+const { MESSAGE_EDIT } = proto.Message.ProtocolMessage.Type
+const MEDIA_TYPES = ['image', 'video', 'audio', 'sticker', 'document']
+
+/**
+ * Message store: one append-only log per chat (<chat>.jsonl) plus an index
+ * of message offsets (<chat>.idx.json), so only the index lives in memory.
+ */
 class StoreManager {
     constructor(terra) {
         this.terra = terra
         this.logger = this.terra.logger.child({ name: 'StoreManager' })
-        this.messageStore = new Map()
         this.sessionPath = terra.config.sessionPath
+        this.storePath = path.join(this.sessionPath, 'store')
+        this.chats = new Map() // Chat JID -> log file, size and message index
+        this.recent = new Map() // Store key -> recently read message
+        this.pending = 0 // Messages saved since the last index save
+    }
+
+    /**
+     * Current store options merged with defaults
+     * @returns {Object} Store options
+     */
+    get options() {
+        return { ...DEFAULT_OPTIONS, ...(this.terra.config.store || {}) }
     }
 
     /**
@@ -15,62 +54,56 @@ class StoreManager {
      */
     async initialize() {
         try {
-            // Create message store directory if it doesn't exist
-            const storePath = path.join(this.sessionPath, 'store')
-            await fs.ensureDir(storePath)
-
-            // Try to load existing message store
-            const storeFile = path.join(storePath, 'messages.json')
-
-            if (await fs.pathExists(storeFile)) {
-                try {
-                    const storedData = await fs.readJson(storeFile)
-                    // Convert JSON object back to Map
-                    for (const [key, value] of Object.entries(storedData)) {
-                        this.messageStore.set(key, value)
-                    }
-                    this.logger.info('Message store loaded successfully')
-                } catch (err) {
-                    this.logger.warn(
-                        'Failed to parse message store, creating new one',
-                        err
-                    )
-                    this.messageStore = new Map()
+            await fs.ensureDir(this.storePath)
+            this.chats.clear()
+            this.recent.clear()
+
+            // Only the indexes are loaded, messages stay on disk
+            for (const file of await fs.readdir(this.storePath)) {
+                if (file.endsWith('.jsonl')) {
+                    this._loadChat(path.join(this.storePath, file))
                 }
-            } else {
-                this.messageStore = new Map()
-                this.logger.info('New message store created')
             }
 
+            await this._migrateLegacyStore()
+
+            const count = Array.from(this.chats.values()).reduce(
+                (total, chat) => total + chat.entries.size,
+                0
+            )
+            this.logger.info(
+                `Message store loaded: ${count} messages in ${this.chats.size} chats`
+            )
             return true
         } catch (error) {
             this.logger.error('Error initializing message store:' + error)
             // Don't throw error, just start with empty store
-            this.messageStore = new Map()
+            this.chats.clear()
             return false
         }
     }
 
     /**
-     * Save the message store to disk
+     * Apply retention, compact logs with many dead lines and save the indexes
      */
     async saveStore() {
         try {
-            const storePath = path.join(this.sessionPath, 'store')
-            await fs.ensureDir(storePath)
+            await fs.ensureDir(this.storePath)
 
-            // Convert Map to serializable object
-            const serializableStore = {}
-            this.messageStore.forEach((value, key) => {
-                serializableStore[key] = value
-            })
+            for (const chat of this.chats.values()) {
+                this._applyRetention(chat)
 
-            await fs.writeJson(
-                path.join(storePath, 'messages.json'),
-                serializableStore,
-                { spaces: 2 }
-            )
+                if (
+                    chat.deadBytes > COMPACT_MIN_BYTES &&
+                    chat.deadBytes > chat.size / 2
+                ) {
+                    this.compact(chat.chatJid)
+                } else if (chat.dirty) {
+                    this._saveIndex(chat)
+                }
+            }
 
+            this.pending = 0
             return true
         } catch (error) {
             this.logger.error('Error saving message store:' + error)
@@ -79,24 +112,33 @@ class StoreManager {
     }
 
     /**
-     * Save a message to memory store
+     * Append a message to its chat log (saving a message again replaces it).
+     * An edit replaces the content of the message it edits, keeping the
+     * previous versions
      * @param {Object} message - WhatsApp message object
      * @returns {Boolean} - Success status
      */
     async saveMessage(message) {
         try {
-            const key = `${message.key.remoteJid}_${message.key.id}`
-            this.messageStore.set(key, message)
-
-            // Limit message store size
-            if (this.messageStore.size > 1000) {
-                // Delete oldest message
-                const firstKey = this.messageStore.keys().next().value
-                this.messageStore.delete(firstKey)
-            }
+            if (!message?.key?.remoteJid || !message.key.id) return false
 
-            // Periodically save to disk (not on every message to reduce I/O)
-            if (this.messageStore.size % 50 === 0) {
+            message = this._applyEdit(message) || message
+            const { remoteJid, id } = message.key
+
+            const chat = this._getChat(remoteJid)
+            const line = JSON.stringify(message, BufferJSON.replacer) + '\n'
+            const length = Buffer.byteLength(line)
+
+            fs.appendFileSync(chat.file, line)
+            this._indexMessage(chat, message, chat.size, length)
+            chat.size += length
+            if (chat.terms) this._indexWords(chat, message)
+
+            this._remember(`${remoteJid}_${id}`, message)
+            this._applyRetention(chat)
+
+            // Save indexes periodically (not on every message to reduce I/O)
+            if (++this.pending >= SAVE_EVERY) {
                 await this.saveStore()
             }
 
@@ -115,13 +157,280 @@ class StoreManager {
     getMessage(key) {
         try {
             const storeKey = `${key.remoteJid}_${key.id}`
-            return this.messageStore.get(storeKey) || null
+            if (this.recent.has(storeKey)) return this.recent.get(storeKey)
+
+            const chat = this.chats.get(key.remoteJid)
+            const entry = chat?.entries.get(key.id)
+            if (!entry) return null
+
+            const [message] = this._read(chat, [entry])
+            this._remember(storeKey, message)
+            return message
         } catch (error) {
             this.logger.error('Error getting message:' + error)
             return null
         }
     }
 
+    /**
+     * Get the stored messages of a chat
+     * @param {string} chatJid Chat JID
+     * @param {Object} options Filter options
+     * @param {number} options.since Only messages sent at or after this time (ms)
+     * @param {number} options.limit Only the newest N messages
+     * @returns {Array<Object>} Messages, oldest first
+     */
+    getMessages(chatJid, options = {}) {
+        try {
+            const chat = this.chats.get(chatJid)
+            if (!chat) return []
+
+            const entries = Array.from(chat.entries.values()).filter(
+                (entry) => entry.timestamp >= (options.since || 0)
+            )
+            return this._read(
+                chat,
+                options.limit ? entries.slice(-options.limit) : entries
+            )
+        } catch (error) {
+            this.logger.error('Error getting messages:' + error)
+            return []
+        }
+    }
+
+    /**
+     * Search the text and captions of the messages of a chat
+     * @param {string} chatJid Chat JID
+     * @param {string} query Words to look for (each one matches the start of a word)
+     * @param {Object} options Filter options
+     * @param {string} options.sender Only messages sent by this JID
+     * @param {number} options.since Only messages sent at or after this time (ms)
+     * @param {number} options.limit Only the newest N matches
+     * @param {Function} options.filter Only messages this returns true for
+     * @returns {Array<Object>} Matching messages, newest first
+     */
+    search(chatJid, query, options = {}) {
+        try {
+            const chat = this.chats.get(chatJid)
+            if (!chat) return []
+            if (!chat.terms) this._buildSearchIndex(chat)
+
+            // Candidates from the index: messages with every word
+            const words = getWords(query)
+            let ids = new Set(chat.entries.keys())
+            for (const word of words) {
+                const matches = new Set()
+                for (const [term, termIds] of chat.terms) {
+                    if (!term.startsWith(word)) continue
+                    termIds.forEach((id) => ids.has(id) && matches.add(id))
+                }
+                ids = matches
+            }
+
+            const candidates = Array.from(ids)
+                .map((id) => chat.entries.get(id))
+                .filter(
+                    (entry) => entry && entry.timestamp >= (options.since || 0)
+                )
+                .sort((a, b) => b.timestamp - a.timestamp)
+
+            // The index only grows, so check the current text of each one
+            const sender = options.sender && getUser(options.sender)
+            const limit = options.limit || Infinity
+            const results = []
+            for (let i = 0; i < candidates.length; i += SEARCH_BATCH) {
+                for (const message of this._read(
+                    chat,
+                    candidates.slice(i, i + SEARCH_BATCH)
+                )) {
+                    const messageWords = getWords(this.getText(message))
+                    if (
+                        (!sender ||
+                            getUser(
+                                message.key.participant || message.key.remoteJid
+                            ) === sender) &&
+                        words.every((word) =>
+                            messageWords.some((term) => term.startsWith(word))
+                        ) &&
+                        (!options.filter || options.filter(message))
+                    ) {
+                        results.push(message)
+                        if (results.length >= limit) return results
+                    }
+                }
+            }
+            return results
+        } catch (error) {
+            this.logger.error('Error searching messages:' + error)
+            return []
+        }
+    }
+
+    /**
+     * Get every version of a message, oldest first
+     * @param {Object} key Message key object
+     * @returns {Array<{message: Object, timestamp: number}>} Versions (message content and the time it was sent or edited), empty if the message is not stored
+     */
+    getRevisions(key) {
+        const message = this.getMessage(key)
+        if (!message) return []
+
+        return [
+            ...(message.revisions || []),
+            {
+                message: message.message,
+                timestamp: message.editedAt || getTimestamp(message),
+            },
+        ]
+    }
+
+    /**
+     * Get the edit a message carries
+     * @param {Object} message WhatsApp message object
+     * @returns {Object|null} Protocol message with the edited message key and its new content, or null
+     */
+    getEdit(message) {
+        const protocol = this.getContent(message).protocolMessage
+        return protocol?.type === MESSAGE_EDIT &&
+            protocol.key?.id &&
+            protocol.editedMessage
+            ? protocol
+            : null
+    }
+
+    /**
+     * Get the content of a message, unwrapped from ephemeral, view-once
+     * and similar containers
+     * @param {Object} message WhatsApp message object
+     * @returns {Object} Message content (empty if there is none)
+     */
+    getContent(message) {
+        let content = message?.message || {}
+        while (true) {
+            const wrapper = WRAPPERS.find((type) => content[type]?.message)
+            if (!wrapper) return content
+            content = content[wrapper].message
+        }
+    }
+
+    /**
+     * Get the text or caption of a message
+     * @param {Object} message WhatsApp message object
+     * @returns {string} Text ('' for messages without any)
+     */
+    getText(message) {
+        const content = this.getContent(message)
+        return (
+            content.conversation ||
+            content.extendedTextMessage?.text ||
+            content.imageMessage?.caption ||
+            content.videoMessage?.caption ||
+            content.documentMessage?.caption ||
+            ''
+        )
+    }
+
+    /**
+     * Get the kind of media a message carries
+     * @param {Object} message WhatsApp message object
+     * @returns {string|null} 'image', 'video', 'audio', 'sticker' or 'document', or null
+     */
+    getMediaType(message) {
+        const content = this.getContent(message)
+        return MEDIA_TYPES.find((type) => content[`${type}Message`]) || null
+    }
+
+    /**
+     * Get the time a message was sent
+     * @param {Object} message WhatsApp message object
+     * @returns {number} Timestamp in ms
+     */
+    getTimestamp(message) {
+        return getTimestamp(message)
+    }
+
+    /**
+     * Build the new version of a message edited by an incoming message
+     * @private
+     * @param {Object} message Incoming message
+     * @returns {Object|null} Edited message, or null if it is not an edit of a stored message
+     */
+    _applyEdit(message) {
+        const edit = this.getEdit(message)
+        if (!edit) return null
+
+        const original = this.getMessage({
+            remoteJid: message.key.remoteJid,
+            id: edit.key.id,
+        })
+        if (!original) return null
+
+        return {
+            ...original,
+            message: edit.editedMessage,
+            revisions: [
+                ...(original.revisions || []),
+                {
+                    message: original.message,
+                    timestamp: original.editedAt || getTimestamp(original),
+                },
+            ],
+            editedAt: getTimestamp(message),
+        }
+    }
+
+    /**
+     * Get the chats that have stored messages
+     * @returns {string[]} Chat JIDs
+     */
+    getChats() {
+        return Array.from(this.chats.keys())
+    }
+
+    /**
+     * Rewrite a chat log without its replaced and expired messages
+     * @param {string} chatJid Chat JID
+     * @returns {boolean} Whether the log was compacted
+     */
+    compact(chatJid) {
+        const chat = this.chats.get(chatJid)
+        if (!chat) return false
+
+        const tempFile = `${chat.file}.tmp`
+        const input = fs.openSync(chat.file, 'r')
+        const output = fs.openSync(tempFile, 'w')
+        const offsets = [] // Applied once the new log is in place
+        let size = 0
+
+        try {
+            for (const entry of chat.entries.values()) {
+                const buffer = Buffer.alloc(entry.length)
+                fs.readSync(input, buffer, 0, entry.length, entry.offset)
+                fs.writeSync(output, buffer)
+
+                offsets.push(size)
+                size += entry.length
+            }
+        } finally {
+            fs.closeSync(input)
+            fs.closeSync(output)
+        }
+
+        fs.renameSync(tempFile, chat.file)
+        Array.from(chat.entries.values()).forEach((entry, i) => {
+            entry.offset = offsets[i]
+        })
+        this.logger.debug(
+            `Compacted messages of ${chatJid}: ${chat.size} -> ${size} bytes`
+        )
+
+        chat.size = size
+        chat.deadBytes = 0
+        chat.terms = null // Rebuilt without the dropped messages
+        this._saveIndex(chat)
+        return true
+    }
+
     /**
      * Clear session data
      * @returns {Boolean} - Success status
@@ -129,7 +438,8 @@ class StoreManager {
     async clearSession() {
         try {
             await fs.emptyDir(this.terra.config.sessionPath)
-            this.messageStore.clear()
+            this.chats.clear()
+            this.recent.clear()
             this.logger.info('Session data cleared')
             return true
         } catch (error) {
@@ -137,6 +447,292 @@ class StoreManager {
             return false
         }
     }
+
+    /**
+     * Get (or create) the log of a chat
+     * @private
+     */
+    _getChat(chatJid) {
+        if (!this.chats.has(chatJid)) {
+            const name = chatJid.replace(/[^\w.-]/g, '_')
+            this.chats.set(chatJid, {
+                chatJid,
+                file: path.join(this.storePath, `${name}.jsonl`),
+                size: 0,
+                deadBytes: 0,
+                entries: new Map(), // Message ID -> offset, length and timestamp
+                terms: null, // Search word -> message IDs, built on the first search
+                dirty: true,
+            })
+        }
+        return this.chats.get(chatJid)
+    }
+
+    /**
+     * Load the index of a chat log, indexing lines written after it was saved
+     * @private
+     * @param {string} file Path to the chat log
+     */
+    _loadChat(file) {
+        const indexFile = file.replace(/\.jsonl$/, '.idx.json')
+        let index = null
+        try {
+            if (fs.existsSync(indexFile)) index = fs.readJsonSync(indexFile)
+        } catch (error) {
+            this.logger.warn(`Rebuilding broken index ${indexFile}`)
+        }
+
+        // An index describing more data than the log has is stale
+        if (index && index.size > fs.statSync(file).size) index = null
+
+        const chat = {
+            chatJid: index?.chatJid || null,
+            file,
+            size: index?.size || 0,
+            deadBytes: index?.deadBytes || 0,
+            entries: new Map(
+                (index?.entries || []).map(
+                    ([id, offset, length, timestamp]) => [
+                        id,
+                        { offset, length, timestamp },
+                    ]
+                )
+            ),
+            terms: null,
+            dirty: false,
+        }
+
+        this._indexTail(chat)
+        if (!chat.chatJid) return
+
+        this._applyRetention(chat)
+        this.chats.set(chat.chatJid, chat)
+    }
+
+    /**
+     * Index the lines of a chat log past the indexed size
+     * @private
+     */
+    _indexTail(chat) {
+        const length = fs.statSync(chat.file).size - chat.size
+        if (length <= 0) return
+
+        const buffer = Buffer.alloc(length)
+        const fd = fs.openSync(chat.file, 'r')
+        try {
+            fs.readSync(fd, buffer, 0, length, chat.size)
+        } finally {
+            fs.closeSync(fd)
+        }
+
+        let start = 0
+        let end
+        while ((end = buffer.indexOf(10, start)) !== -1) {
+            try {
+                const message = JSON.parse(
+                    buffer.toString('utf8', start, end),
+                    BufferJSON.reviver
+                )
+                this._indexMessage(
+                    chat,
+                    message,
+                    chat.size + start,
+                    end - start + 1
+                )
+            } catch (error) {
+                chat.deadBytes += end - start + 1
+            }
+            start = end + 1
+        }
+
+        // A line cut short by a crash would corrupt the next append
+        if (start < length) fs.truncateSync(chat.file, chat.size + start)
+
+        chat.size += start
+        chat.dirty = true
+    }
+
+    /**
+     * Point the index of a chat at a message line
+     * @private
+     */
+    _indexMessage(chat, message, offset, length) {
+        const id = message.key.id
+        const previous = chat.entries.get(id)
+
+        chat.chatJid = chat.chatJid || message.key.remoteJid
+        if (previous) chat.deadBytes += previous.length
+
+        chat.entries.set(id, {
+            offset,
+            length,
+            timestamp: previous?.timestamp || getTimestamp(message),
+        })
+        chat.dirty = true
+    }
+
+    /**
+     * Index the words of every stored message of a chat
+     * @private
+     */
+    _buildSearchIndex(chat) {
+        chat.terms = new Map()
+        for (const message of this._read(
+            chat,
+            Array.from(chat.entries.values())
+        )) {
+            this._indexWords(chat, message)
+        }
+    }
+
+    /**
+     * Add the words of a message to the search index of its chat
+     * @private
+     */
+    _indexWords(chat, message) {
+        for (const word of getWords(this.getText(message))) {
+            if (!chat.terms.has(word)) chat.terms.set(word, new Set())
+            chat.terms.get(word).add(message.key.id)
+        }
+    }
+
+    /**
+     * Drop the messages of a chat that are over the count or age limit
+     * @private
+     */
+    _applyRetention(chat) {
+        const { maxMessages, maxAgeDays } = this.options
+        const minTimestamp = maxAgeDays ? Date.now() - maxAgeDays * DAY : 0
+
+        for (const [id, entry] of chat.entries) {
+            const overLimit = maxMessages && chat.entries.size > maxMessages
+            if (!overLimit && entry.timestamp >= minTimestamp) break
+
+            chat.entries.delete(id)
+            chat.deadBytes += entry.length
+            chat.dirty = true
+            this.recent.delete(`${chat.chatJid}_${id}`)
+        }
+    }
+
+    /**
+     * Read and parse message lines of a chat log
+     * @private
+     * @returns {Array<Object>} Messages in the order of the entries
+     */
+    _read(chat, entries) {
+        if (!entries.length) return []
+
+        const fd = fs.openSync(chat.file, 'r')
+        try {
+            return entries.map((entry) => {
+                // The trailing newline is left out
+                const buffer = Buffer.alloc(entry.length - 1)
+                fs.readSync(fd, buffer, 0, buffer.length, entry.offset)
+                return JSON.parse(buffer.toString('utf8'), BufferJSON.reviver)
+            })
+        } finally {
+            fs.closeSync(fd)
+        }
+    }
+
+    /**
+     * Keep a parsed message in memory for repeated lookups
+     * @private
+     */
+    _remember(storeKey, message) {
+        this.recent.delete(storeKey)
+        this.recent.set(storeKey, message)
+
+        if (this.recent.size > RECENT_LIMIT) {
+            this.recent.delete(this.recent.keys().next().value)
+        }
+    }
+
+    /**
+     * Write the index of a chat log
+     * @private
+     */
+    _saveIndex(chat) {
+        const indexFile = chat.file.replace(/\.jsonl$/, '.idx.json')
+        const tempFile = `${indexFile}.tmp`
+
+        fs.writeJsonSync(tempFile, {
+            chatJid: chat.chatJid,
+            size: chat.size,
+            deadBytes: chat.deadBytes,
+            entries: Array.from(chat.entries, ([id, entry]) => [
+                id,
+                entry.offset,
+                entry.length,
+                entry.timestamp,
+            ]),
+        })
+        fs.renameSync(tempFile, indexFile)
+        chat.dirty = false
+    }
+
+    /**
+     * Move messages from the old single-file store into the chat logs
+     * @private
+     */
+    async _migrateLegacyStore() {
+        const legacyFile = path.join(this.storePath, 'messages.json')
+        if (!(await fs.pathExists(legacyFile))) return
+
+        try {
+            const storedData = await fs.readJson(legacyFile)
+            const messages = Object.values(storedData)
+            for (const message of messages) {
+                await this.saveMessage(message)
+            }
+            await this.saveStore()
+            await fs.remove(legacyFile)
+            this.logger.info(
+                `Moved ${messages.length} messages to the new message store`
+            )
+        } catch (error) {
+            this.logger.warn(
+                'Failed to migrate old message store: ' + error.message
+            )
+        }
+    }
+}
+
+/**
+ * Get the time a message was sent
+ * @param {Object} message WhatsApp message object
+ * @returns {number} Timestamp in ms
+ */
+function getTimestamp(message) {
+    const seconds = Number(
+        message.messageTimestamp?.low ?? message.messageTimestamp
+    )
+    return seconds ? seconds * 1000 : Date.now()
+}
+
+/**
+ * Split text into lowercase search words
+ * @param {string} text Text
+ * @returns {string[]} Unique words
+ */
+function getWords(text) {
+    return [
+        ...new Set(
+            String(text || '')
+                .toLowerCase()
+                .match(/[\p{L}\p{N}]+/gu)
+        ),
+    ]
+}
+
+/**
+ * Get the user part of a JID ("628xx:3@s.whatsapp.net" -> "628xx")
+ * @param {string} jid JID
+ * @returns {string} User
+ */
+function getUser(jid) {
+    return String(jid).split('@')[0].split(':')[0]
 }
 
 module.exports = StoreManager
@@ -0,0 +1,53 @@
+const fs = require('fs-extra')
+const path = require('path')
+
+/**
+ * Storage adapter that keeps a whole collection in one JSON file
+ */
+class JsonStorage {
+    /**
+     * @param {Object} options Storage options
+     * @param {string} options.filePath Path to the JSON file
+     * @param {number} options.spaces Indentation used when writing (default: 2)
+     */
+    constructor(options) {
+        this.filePath = options.filePath
+        this.spaces = options.spaces ?? 2
+    }
+
+    /**
+     * Ensure the parent directory exists
+     */
+    async open() {
+        await fs.ensureDir(path.dirname(this.filePath))
+    }
+
+    /**
+     * Read all records from the file
+     * @returns {Promise<Array>} Array of [key, value] pairs
+     */
+    async load() {
+        if (!(await fs.pathExists(this.filePath))) return []
+
+        const rawData = await fs.readJson(this.filePath)
+        return Object.entries(rawData)
+    }
+
+    /**
+     * Write the full collection atomically (temp file, then rename)
+     * @param {Object} changes Pending changes
+     * @param {Map} changes.data Full collection data
+     */
+    async write({ data }) {
+        // Serialize before any await so the snapshot is consistent
+        const json = JSON.stringify(Object.fromEntries(data), null, this.spaces)
+        const tempPath = `${this.filePath}.tmp`
+
+        await fs.writeFile(tempPath, json)
+        await fs.rename(tempPath, this.filePath)
+    }
+
+    async close() {}
+}
+
+module.exports = JsonStorage
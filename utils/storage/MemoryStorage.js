@@ -0,0 +1,52 @@
+/**
+ * Storage adapter that only keeps data in memory (useful for tests)
+ */
+class MemoryStorage {
+    /**
+     * @param {Object} options Storage options
+     * @param {Object} options.data Initial records as a key/value object
+     */
+    constructor(options = {}) {
+        this.records = new Map(Object.entries(options.data || {}))
+    }
+
+    async open() {}
+
+    /**
+     * @returns {Promise<Array>} Array of [key, value] pairs
+     */
+    async load() {
+        return Array.from(this.records.entries()).map(([key, value]) => [
+            key,
+            this._clone(value),
+        ])
+    }
+
+    /**
+     * Apply pending changes
+     * @param {Object} changes Pending changes
+     * @param {Map} changes.data Full collection data
+     * @param {string[]} changes.updated Keys set since the last write
+     * @param {string[]} changes.deleted Keys deleted since the last write
+     */
+    async write({ data, updated, deleted }) {
+        for (const key of deleted) {
+            this.records.delete(key)
+        }
+        for (const key of updated) {
+            if (data.has(key)) this.records.set(key, this._clone(data.get(key)))
+        }
+    }
+
+    async close() {}
+
+    /**
+     * Copy a value the same way a serializing adapter would
+     * @private
+     */
+    _clone(value) {
+        return value === undefined ? value : JSON.parse(JSON.stringify(value))
+    }
+}
+
+module.exports = MemoryStorage
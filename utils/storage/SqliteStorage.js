@@ -0,0 +1,119 @@
+const fs = require('fs-extra')
+const path = require('path')
+
+// Connections shared by every collection stored in the same file
+const connections = new Map()
+
+/**
+ * Storage adapter backed by an embedded SQLite database (one table per collection)
+ */
+class SqliteStorage {
+    /**
+     * @param {Object} options Storage options
+     * @param {string} options.filePath Path to the SQLite database file
+     * @param {string} options.table Table name for this collection
+     */
+    constructor(options) {
+        this.filePath = options.filePath
+        this.table = options.table
+        this.db = null
+        this.statements = null
+    }
+
+    /**
+     * Open the shared connection and create the table
+     */
+    async open() {
+        if (!/^[\w-]+$/.test(this.table || '')) {
+            throw new Error(`Invalid table name: ${this.table}`)
+        }
+
+        let connection = connections.get(this.filePath)
+
+        if (!connection) {
+            let BetterSqlite3
+            try {
+                BetterSqlite3 = require('better-sqlite3')
+            } catch (error) {
+                throw new Error(
+                    'SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)'
+                )
+            }
+
+            await fs.ensureDir(path.dirname(this.filePath))
+            const db = new BetterSqlite3(this.filePath)
+            db.pragma('journal_mode = WAL')
+
+            connection = { db, refs: 0 }
+            connections.set(this.filePath, connection)
+        }
+
+        connection.refs++
+        this.db = connection.db
+        this.db
+            .prepare(
+                `CREATE TABLE IF NOT EXISTS "${this.table}" (key TEXT PRIMARY KEY, value TEXT NOT NULL)`
+            )
+            .run()
+
+        this.statements = {
+            all: this.db.prepare(`SELECT key, value FROM "${this.table}"`),
+            upsert: this.db.prepare(
+                `INSERT INTO "${this.table}" (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`
+            ),
+            delete: this.db.prepare(
+                `DELETE FROM "${this.table}" WHERE key = ?`
+            ),
+        }
+    }
+
+    /**
+     * @returns {Promise<Array>} Array of [key, value] pairs
+     */
+    async load() {
+        return this.statements.all
+            .all()
+            .map((row) => [row.key, JSON.parse(row.value)])
+    }
+
+    /**
+     * Apply only the changed rows in a single transaction
+     * @param {Object} changes Pending changes
+     * @param {Map} changes.data Full collection data
+     * @param {string[]} changes.updated Keys set since the last write
+     * @param {string[]} changes.deleted Keys deleted since the last write
+     */
+    async write({ data, updated, deleted }) {
+        const apply = this.db.transaction(() => {
+            for (const key of deleted) {
+                this.statements.delete.run(key)
+            }
+            for (const key of updated) {
+                if (data.has(key)) {
+                    this.statements.upsert.run(
+                        key,
+                        JSON.stringify(data.get(key))
+                    )
+                }
+            }
+        })
+
+        apply()
+    }
+
+    /**
+     * Release the shared connection
+     */
+    async close() {
+        const connection = connections.get(this.filePath)
+        if (!connection || !this.db) return
+
+        this.db = null
+        if (--connection.refs <= 0) {
+            connection.db.close()
+            connections.delete(this.filePath)
+        }
+    }
+}
+
+module.exports = SqliteStorage
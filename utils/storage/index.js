@@ -0,0 +1,48 @@
+const path = require('path')
+const JsonStorage = require('./JsonStorage')
+const MemoryStorage = require('./MemoryStorage')
+const SqliteStorage = require('./SqliteStorage')
+
+/**
+ * Storage adapters implement:
+ * - open(): prepare the backend
+ * - load(): resolve to an array of [key, value] pairs
+ * - write({ data, updated, deleted }): persist pending changes, where `data` is
+ *   the full Map and `updated`/`deleted` list the keys changed since the last write
+ * - close(): release resources
+ */
+const drivers = {
+    json: ({ name, dataPath }) =>
+        new JsonStorage({ filePath: path.join(dataPath, `${name}.json`) }),
+    memory: () => new MemoryStorage(),
+    sqlite: ({ name, dataPath, file }) =>
+        new SqliteStorage({
+            filePath: path.resolve(dataPath, file || 'terra.sqlite'),
+            table: name,
+        }),
+}
+
+/**
+ * Create a storage adapter for a collection
+ * @param {string} driver Driver name (json, sqlite or memory)
+ * @param {Object} options Options passed to the driver
+ * @param {string} options.name Collection name
+ * @param {string} options.dataPath Data directory
+ * @returns {Object} Storage adapter
+ */
+function createStorage(driver = 'json', options) {
+    const factory = drivers[driver]
+    if (!factory) {
+        throw new Error(
+            `Unknown database driver: ${driver} (available: ${Object.keys(drivers).join(', ')})`
+        )
+    }
+    return factory(options)
+}
+
+module.exports = {
+    createStorage,
+    JsonStorage,
+    MemoryStorage,
+    SqliteStorage,
+}